@@ -0,0 +1,226 @@
+/*
+    analysis.js is the one place the analyser settings live, and the one place that knows
+    which frequency each FFT bin is:
+      - setSettings()/getSettings() change the FFT size, smoothing and decibel range at any time,
+        on the live analysers handed to setupAnalysis()
+      - groupBins() squeezes the bins into N bands - linear, log spaced (like we hear pitch) or
+        in octaves - so a layer asks for "64 bars" instead of counting bins
+      - the named bands (sub, bass, mid, treble) come back in dB and 0-1
+
+    Every frame the renderer hands the layers frame.analysis (see createFrameAnalysis()) with all
+    of this worked out for that frame's spectrum.
+*/
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    fftSize: 2048,      // about 23 Hz a bin at 48 kHz, so the named bands each get bins of their own
+    smoothingTimeConstant: .8,
+    minDecibels: -100,
+    maxDecibels: -30
+});
+
+// the sizes an AnalyserNode takes - powers of 2 from 32 to 32768
+const FFT_SIZES = Object.freeze([32, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768]);
+
+const SPACINGS = Object.freeze({
+    linear: "linear",
+    log: "log",
+    octave: "octave"
+});
+
+// the named bands in Hz
+const BANDS = Object.freeze({
+    sub: Object.freeze({ low: 20, high: 60 }),
+    bass: Object.freeze({ low: 60, high: 250 }),
+    mid: Object.freeze({ low: 250, high: 4000 }),
+    treble: Object.freeze({ low: 4000, high: 20000 })
+});
+
+// the lowest frequency the log and octave bands start from
+const MIN_FREQUENCY = 20;
+
+let liveAnalysers = [];
+let settings = Object.assign({}, DEFAULTS);
+let listeners = [];
+
+// bin ranges worked out by getBandRanges(), they only change with the FFT size
+let rangeCache = new Map();
+
+// analysers[0] is the main analyser, it gets all of the settings
+// the rest (the channel analysers) keep their own FFT size - the scopes need a lot of samples
+function setupAnalysis(analysers) {
+    liveAnalysers = analysers;
+    setSettings({
+        fftSize: analysers[0].fftSize,
+        smoothingTimeConstant: analysers[0].smoothingTimeConstant,
+        minDecibels: analysers[0].minDecibels,
+        maxDecibels: analysers[0].maxDecibels
+    });
+}
+
+function getSettings() {
+    return Object.assign({}, settings);
+}
+
+// takes any of the settings - values an AnalyserNode would throw on are ignored
+function setSettings(newSettings) {
+    let fftSize = Number(newSettings.fftSize);
+    if (FFT_SIZES.includes(fftSize)) settings.fftSize = fftSize;
+
+    let smoothing = Number(newSettings.smoothingTimeConstant);
+    if (newSettings.smoothingTimeConstant != undefined && smoothing >= 0 && smoothing <= 1) {
+        settings.smoothingTimeConstant = smoothing;
+    }
+
+    // the range has to stay the right way up
+    let minDecibels = newSettings.minDecibels != undefined ? Number(newSettings.minDecibels) : settings.minDecibels;
+    let maxDecibels = newSettings.maxDecibels != undefined ? Number(newSettings.maxDecibels) : settings.maxDecibels;
+    if (isFinite(minDecibels) && isFinite(maxDecibels) && minDecibels < maxDecibels) {
+        settings.minDecibels = minDecibels;
+        settings.maxDecibels = maxDecibels;
+    }
+
+    liveAnalysers.forEach((analyser, i) => {
+        if (i == 0) analyser.fftSize = settings.fftSize;
+        analyser.smoothingTimeConstant = settings.smoothingTimeConstant;
+        // set them in an order that never has min above max for a moment - the analyser would throw
+        if (settings.minDecibels >= analyser.maxDecibels) {
+            analyser.maxDecibels = settings.maxDecibels;
+            analyser.minDecibels = settings.minDecibels;
+        }
+        else {
+            analyser.minDecibels = settings.minDecibels;
+            analyser.maxDecibels = settings.maxDecibels;
+        }
+    });
+
+    for (let listener of listeners) listener(getSettings());
+}
+
+function onChange(callback) {
+    listeners.push(callback);
+}
+
+// bin i is centered on i * sampleRate / fftSize Hz
+function getBinFrequency(bin, sampleRate, fftSize) {
+    return bin * sampleRate / fftSize;
+}
+
+// which bin a frequency falls in, with a fraction
+function getFrequencyBin(frequency, sampleRate, fftSize) {
+    return frequency * fftSize / sampleRate;
+}
+
+// [start, end) bin ranges for count bands - an octave band count is how many bands per octave
+// (1 = octaves, 3 = third octaves), the number of bands then follows from the sample rate
+function getBandRanges(count, spacing, sampleRate, fftSize) {
+    let key = `${count} ${spacing} ${sampleRate} ${fftSize}`;
+    if (rangeCache.has(key)) return rangeCache.get(key);
+
+    let binCount = fftSize / 2;
+    let nyquist = sampleRate / 2;
+    let ranges = [];
+
+    // turns a low-high frequency range into bins, a band narrower than a bin gets the nearest one
+    let addRange = (low, high) => {
+        let start = Math.ceil(getFrequencyBin(low, sampleRate, fftSize));
+        let end = Math.ceil(getFrequencyBin(high, sampleRate, fftSize));
+        if (end <= start) {
+            start = Math.min(binCount - 1, Math.round(getFrequencyBin(Math.sqrt(low * high), sampleRate, fftSize)));
+            end = start + 1;
+        }
+        ranges.push([Math.min(start, binCount - 1), Math.min(end, binCount)]);
+    };
+
+    if (spacing == SPACINGS.octave) {
+        // centered on 1 kHz like the standard octave bands (..., 250, 500, 1k, 2k, ...)
+        let perOctave = Math.max(1, Math.round(count));
+        let halfBand = Math.pow(2, 1 / (2 * perOctave));
+        let first = Math.ceil(perOctave * Math.log2(MIN_FREQUENCY * halfBand / 1000));
+        for (let k = first; 1000 * Math.pow(2, k / perOctave) * halfBand <= nyquist; k++) {
+            let center = 1000 * Math.pow(2, k / perOctave);
+            addRange(center / halfBand, center * halfBand);
+        }
+    }
+    else if (spacing == SPACINGS.log) {
+        let ratio = nyquist / MIN_FREQUENCY;
+        for (let i = 0; i < count; i++) {
+            addRange(MIN_FREQUENCY * Math.pow(ratio, i / count), MIN_FREQUENCY * Math.pow(ratio, (i + 1) / count));
+        }
+    }
+    else {
+        // linear - with count == binCount this is exactly one bin per band
+        for (let i = 0; i < count; i++) {
+            let start = Math.floor(i * binCount / count);
+            ranges.push([start, Math.max(start + 1, Math.floor((i + 1) * binCount / count))]);
+        }
+    }
+
+    rangeCache.set(key, ranges);
+    return ranges;
+}
+
+// the frequency data (0-255, like getByteFrequencyData) squeezed into bands
+// each band shows the loudest bin it covers, so narrow peaks don't get averaged away
+function groupBins(data, count, spacing, sampleRate, fftSize) {
+    let ranges = getBandRanges(count, spacing, sampleRate, fftSize);
+    let bands = new Uint8Array(ranges.length);
+
+    ranges.forEach(([start, end], i) => {
+        let value = 0;
+        for (let bin = start; bin < end; bin++) {
+            if (data[bin] > value) value = data[bin];
+        }
+        bands[i] = value;
+    });
+
+    return bands;
+}
+
+// the energy of a frequency range from getFloatFrequencyData() data:
+// db is the average power in decibels, level is that on the analyser's range, 0-1
+// a bin covers half a bin either side of its center, and every bin the range reaches into counts -
+// with a small FFT a band can be narrower than a bin, but it still gets the bin it falls in
+function getEnergy(decibelData, low, high, sampleRate, fftSize, minDecibels, maxDecibels) {
+    let binCount = fftSize / 2;
+    let start = Math.max(0, Math.min(binCount - 1, Math.floor(getFrequencyBin(low, sampleRate, fftSize) + .5)));
+    let end = Math.max(start + 1, Math.min(binCount, Math.ceil(getFrequencyBin(high, sampleRate, fftSize) + .5)));
+
+    let power = 0;
+    for (let bin = start; bin < end; bin++) {
+        power += Math.pow(10, decibelData[bin] / 10);
+    }
+    let db = power > 0 ? 10 * Math.log10(power / (end - start)) : -Infinity;
+    let level = Math.max(0, Math.min(1, (db - minDecibels) / (maxDecibels - minDecibels)));
+
+    return { db, level };
+}
+
+// what the layers get as frame.analysis, for one frame of one analyser
+//   byteData - getByteFrequencyData(), decibelData - getFloatFrequencyData()
+function createFrameAnalysis(byteData, decibelData, analyser) {
+    let sampleRate = analyser.context.sampleRate;
+    let fftSize = analyser.fftSize;
+    let energies = {};
+
+    return {
+        sampleRate,
+        fftSize,
+        getBands: (count, spacing = SPACINGS.linear) => groupBins(byteData, count, spacing, sampleRate, fftSize),
+        // worked out the first time a band is asked for
+        getEnergy: name => {
+            if (!energies[name]) {
+                energies[name] = getEnergy(decibelData, BANDS[name].low, BANDS[name].high, sampleRate, fftSize,
+                    analyser.minDecibels, analyser.maxDecibels);
+            }
+            return energies[name];
+        },
+        getBinFrequency: bin => getBinFrequency(bin, sampleRate, fftSize),
+        getFrequencyBin: frequency => getFrequencyBin(frequency, sampleRate, fftSize)
+    };
+}
+
+export {
+    DEFAULTS, FFT_SIZES, SPACINGS, BANDS, setupAnalysis, getSettings, setSettings, onChange,
+    getBinFrequency, getFrequencyBin, getBandRanges, groupBins, getEnergy, createFrameAnalysis
+};
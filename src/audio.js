@@ -1,17 +1,80 @@
+import * as effects from './effects.js';
+import * as metering from './metering.js';
+import * as analysis from './analysis.js';
+
 // 1 - our WebAudio context, **we will export and make this public at the bottom of the file**
 let audioCtx;
 
 // **These are "private" properties - these will NOT be visible outside of this module (i.e. file)**
 // 2 - WebAudio nodes that are part of our WebAudio audio routing graph
-let element, sourceNode, analyserNode, gainNode, compressor;
+// element is the <audio> element of the slot that is playing, see below
+let element, analyserNode, gainNode, compressor;
+
+// There are two "slots", each an <audio> element with its own gain, so one track can fade out while
+// the next fades in (and the next one can be loaded before it is needed, for gapless playback).
+// Both slots meet at mixNode, so the analyser sees the mix and the visuals carry on through a fade.
+// element always points at the active slot - everything outside this file only ever sees that one.
+let slots = [];             // { element, sourceNode, gainNode }
+let activeSlot;
+let mixNode;
+let fade;                   // { from, timeout } while a crossfade is running
+let nextSrc;                // the track that comes after this one, see setNextTrack()
+let trackChangeListeners = [];
+
+// inputNode is where every source (file or live) plugs in, the effects chain hangs off of it
+let inputNode, effectsChain;
+
+// one analyser per channel (left, right) behind a splitter, for the stereo and XY scope layers
+// they hang off the same tap as analyserNode
+let channelSplitter;
+let channelAnalysers = [];
+
+// the loudness meter (metering.js) listens to the end of the graph too, one analyser per channel
+let meterAnalysers = [];
+
+// the recorder listens to the end of the graph through this - see getRecordingStream()
+let recordingDestination;
+
+// live input (microphone or line-in) - only exists while we are in "live" mode
+let liveSourceNode, liveStream;
 
 // 3 - here we are faking an enumeration
 const DEFAULTS = Object.freeze({
     gain: .5,
-    numSamples: 256,
-    sound1: "media/New Adventure Theme.mp3"
+    numSamples: 2048,
+    channelSamples: 2048,   // fftSize of the channel analysers - the scopes want plenty of samples to draw
+    crossfade: 0,           // seconds, 0 is a straight cut
+    maxCrossfade: 12,
+    gapless: false,
+    sound1: "media/New Adventure Theme.mp3",
+    compressor: Object.freeze({
+        threshold: -70,
+        knee: 20,
+        ratio: 18,
+        attack: 0.20,
+        release: 0.25
+    })
 });
 
+// where the analyser listens - before or after the effects chain
+const ANALYSER_TAPS = Object.freeze({
+    pre: "pre",
+    post: "post"
+});
+
+let analyserTap = ANALYSER_TAPS.post;
+let analyserTapNode;
+
+// where the audio going into the analyser comes from
+const SOURCE_MODES = Object.freeze({
+    file: "file",
+    live: "live"
+});
+
+let sourceMode = SOURCE_MODES.file;
+
+let transition = { crossfade: DEFAULTS.crossfade, gapless: DEFAULTS.gapless };
+
 // 4 - create a new array of 8-bit integers (0-255)
 // this is a typed array to hold the audio frequency data
 let audioData = new Uint8Array(DEFAULTS.numSamples / 2);
@@ -22,15 +85,27 @@ function setupWebaudio(filePath) {
     const AudioContext = window.AudioContext || window.webkitAudioContext;
     audioCtx = new AudioContext();
 
-    // 2 - this creates an <audio> element
-    element = new Audio();
+    // 2 - this creates the two <audio> elements, each with a source node and a gain
+    mixNode = audioCtx.createGain();
+    for (let i = 0; i < 2; i++) {
+        let slot = { element: new Audio() };
+        // 4 - create an a source node that points at the <audio> element
+        slot.sourceNode = audioCtx.createMediaElementSource(slot.element);
+        slot.gainNode = audioCtx.createGain();
+        slot.sourceNode.connect(slot.gainNode);
+        slot.gainNode.connect(mixNode);
+
+        // these have to come before anyone else's listeners, see addElementListener()
+        slot.element.addEventListener("timeupdate", e => checkCrossfade(slot));
+        slot.element.addEventListener("ended", e => checkGapless(slot));
+        slots.push(slot);
+    }
+    activeSlot = slots[0];
+    element = activeSlot.element;
 
     // 3 - have it point at a sound file
     loadSoundFile(filePath);
 
-    // 4 - create an a source node that points at the <audio> element
-    sourceNode = audioCtx.createMediaElementSource(element);
-
     // 5 - create an analyser node
     analyserNode = audioCtx.createAnalyser();
     // note the UK spelling of "Analyser"
@@ -40,51 +115,383 @@ function setupWebaudio(filePath) {
     We will request DEFAULTS.numSamples number of samples or "bins" spaced equally
     across the sound spectrum.
     
-    If DEFAULTS.numSamples (fftSize) is 256, then the first bin is 0 Hz, the second is 172 Hz,
-    the third is 344Hz, and so on. Each bin contains a number between 0-255 representing
-    the amplitude of that frequency.
+    If DEFAULTS.numSamples (fftSize) is 2048, then the first bin is 0 Hz, the second is 21.5 Hz,
+    the third is 43 Hz, and so on (at a 44.1 kHz sample rate). Each bin contains a number between
+    0-255 representing the amplitude of that frequency.
     */
 
     // fft stands for Fast Fourier Transform
+    // (this is just where it starts - the FFT size can be changed while we run, see analysis.js)
     analyserNode.fftSize = DEFAULTS.numSamples;
 
+    // 6.5 - split the channels, so the stereo layers can see left and right on their own
+    channelSplitter = audioCtx.createChannelSplitter(2);
+    for (let i = 0; i < 2; i++) {
+        let channelAnalyser = audioCtx.createAnalyser();
+        channelAnalyser.fftSize = DEFAULTS.channelSamples;
+        channelSplitter.connect(channelAnalyser, i);
+        channelAnalysers.push(channelAnalyser);
+    }
+
     // 7 - create a gain (volume) node
     gainNode = audioCtx.createGain();
     gainNode.gain.value = DEFAULTS.gain;
 
     // Create a compressor node
     compressor = audioCtx.createDynamicsCompressor();
-    compressor.threshold.value = -70;
-    compressor.knee.value = 20;
-    compressor.ratio.value = 18;
-    compressor.attack.value = 0.20;
-    compressor.release.value = 0.25;
-    
-    // connect the AudioBufferSourceNode to the destination
-    //source.connect(audioCtx.destination);
+    for (let param in DEFAULTS.compressor) {
+        setCompressorParam(param, DEFAULTS.compressor[param]);
+    }
+
+    // Create the effects chain (EQ, filter, delay, reverb)
+    inputNode = audioCtx.createGain();
+    effectsChain = effects.setupEffects(audioCtx);
 
     // 8 - connect the nodes - we now have an audio graph
-    sourceNode.connect(analyserNode);
-    analyserNode.connect(gainNode);
+    // slot sources -> slot gains -> mix -> input -> effects -> gain -> compressor -> destination
+    // the analyser is a "tap" off of the input or the effects output, see setAnalyserTap()
+    mixNode.connect(inputNode);
+    inputNode.connect(effectsChain.input);
+    effectsChain.output.connect(gainNode);
     gainNode.connect(compressor);
     compressor.connect(audioCtx.destination);
+    setAnalyserTap(analyserTap);
+
+    // 9 - the meter hears what comes out of the compressor, a mono track is spread over both
+    // channels first (the splitter would leave the right one silent)
+    let meterInput = audioCtx.createGain();
+    meterInput.channelCount = 2;
+    meterInput.channelCountMode = "explicit";
+    meterInput.channelInterpretation = "speakers";
+    let meterSplitter = audioCtx.createChannelSplitter(2);
+    compressor.connect(meterInput);
+    meterInput.connect(meterSplitter);
+    for (let i = 0; i < 2; i++) {
+        let meterAnalyser = audioCtx.createAnalyser();
+        meterAnalyser.fftSize = metering.ANALYSER_SIZE;
+        meterSplitter.connect(meterAnalyser, i);
+        meterAnalysers.push(meterAnalyser);
+    }
 }
 
-function loadSoundFile(filePath) {
-    element.src = filePath;
+// crossfade is true to fade from the track that is playing into this one (if the crossfade is
+// switched on) - otherwise it is a straight cut
+function loadSoundFile(filePath, crossfade = false) {
+    if (crossfade && transition.crossfade > 0 && !element.paused) {
+        startCrossfade(filePath, transition.crossfade);
+        return;
+    }
+
+    stopFade();
+    let idleSlot = getIdleSlot();
+    idleSlot.element.pause();
+
+    // the next track may already be waiting in the other slot
+    if (isLoaded(idleSlot, filePath)) {
+        let oldSlot = activeSlot;
+        idleSlot.element.currentTime = 0;
+        setActiveSlot(idleSlot);
+        setGain(activeSlot, 1);
+        setGain(oldSlot, 0);
+        oldSlot.element.pause();
+    }
+    else {
+        setGain(activeSlot, 1);
+        element.src = filePath;
+    }
+    preloadNext();
 }
 
 function playCurrentSound() {
-    element.play();
+    return element.play();
 }
 
+// a fade that is running stops right away, the fading-out track would play on otherwise
 function pauseCurrentSound() {
+    stopFade();
     element.pause();
 }
 
+// how one track moves on to the next:
+//   crossfade - seconds the end of one track overlaps the start of the next (0-12), 0 is a cut
+//   gapless - start the next track the moment this one ends (it is loaded ahead of time) - for albums
+function setTransition(settings) {
+    let crossfade = Number(settings.crossfade);
+    if (settings.crossfade != undefined && crossfade >= 0 && crossfade <= DEFAULTS.maxCrossfade) {
+        transition.crossfade = crossfade;
+    }
+    if (settings.gapless != undefined) transition.gapless = Boolean(settings.gapless);
+    preloadNext();
+}
+
+function getTransition() {
+    return Object.assign({}, transition);
+}
+
+// src is the track that comes after the one playing (or undefined for none) - with a crossfade or
+// gapless playback on, audio.js moves on to it by itself and tells onTrackChange() listeners
+function setNextTrack(src) {
+    nextSrc = src;
+    preloadNext();
+}
+
+function onTrackChange(callback) {
+    trackChangeListeners.push(callback);
+}
+
+// Adds a listener to both <audio> elements, that only hears from the active one - the other one is
+// loading the next track or fading out, and its play/pause/ended/error events aren't "the" track's.
+// (audio.js's own listeners are added first, so when the active slot ends and the other one takes
+// over, this listener already sees the new one as active and the old "ended" is ignored.)
+function addElementListener(type, callback) {
+    for (let slot of slots) {
+        slot.element.addEventListener(type, e => {
+            if (slot == activeSlot) callback(e);
+        });
+    }
+}
+
+function getIdleSlot() {
+    return slots[0] == activeSlot ? slots[1] : slots[0];
+}
+
+function setActiveSlot(slot) {
+    activeSlot = slot;
+    element = slot.element;
+}
+
+// element.src is always a full URL, so the path is made into one to compare them
+function isLoaded(slot, filePath) {
+    return slot.element.src != "" && slot.element.src == new URL(filePath, document.baseURI).href;
+}
+
+function setGain(slot, value) {
+    // from 0 - a fade that has already started counts as scheduled too
+    slot.gainNode.gain.cancelScheduledValues(0);
+    slot.gainNode.gain.value = value;
+}
+
+// loads the next track into the idle slot, so it can start without waiting
+function preloadNext() {
+    let idleSlot = getIdleSlot();
+    if (!nextSrc || fade || (transition.crossfade == 0 && !transition.gapless)) return;
+
+    if (isLoaded(idleSlot, nextSrc)) return;
+    idleSlot.element.preload = "auto";
+    idleSlot.element.src = nextSrc;
+}
+
+// fades the active slot out and the idle one (playing filePath) in over duration seconds
+// equal-power - cos/sin curves, so the loudness doesn't dip in the middle like it does with straight lines
+function startCrossfade(filePath, duration) {
+    stopFade();
+
+    let from = activeSlot;
+    let to = getIdleSlot();
+    if (isLoaded(to, filePath)) to.element.currentTime = 0;
+    else to.element.src = filePath;
+
+    let steps = Math.max(2, Math.ceil(duration * 50));
+    let fadeOut = new Float32Array(steps);
+    let fadeIn = new Float32Array(steps);
+    let startGain = from.gainNode.gain.value;
+    for (let i = 0; i < steps; i++) {
+        let percent = i / (steps - 1);
+        fadeOut[i] = startGain * Math.cos(percent * Math.PI / 2);
+        fadeIn[i] = Math.sin(percent * Math.PI / 2);
+    }
+
+    let now = audioCtx.currentTime;
+    setGain(from, startGain);
+    setGain(to, 0);
+    from.gainNode.gain.setValueCurveAtTime(fadeOut, now, duration);
+    to.gainNode.gain.setValueCurveAtTime(fadeIn, now, duration);
+
+    setActiveSlot(to);
+    fade = { from, timeout: setTimeout(stopFade, duration * 1000) };
+}
+
+// ends the fade that is running (if any) - the old track stops and the new one is at full volume
+function stopFade() {
+    if (!fade) return;
+
+    clearTimeout(fade.timeout);
+    fade.from.element.pause();
+    setGain(fade.from, 0);
+    setGain(activeSlot, 1);
+    fade = undefined;
+    preloadNext();
+}
+
+// on "timeupdate" - starts the crossfade into the next track when there is crossfade time left
+function checkCrossfade(slot) {
+    if (slot != activeSlot || fade || !nextSrc || transition.crossfade == 0 || sourceMode != SOURCE_MODES.file) return;
+
+    let remaining = element.duration - element.currentTime;
+    if (!isFinite(remaining) || remaining > transition.crossfade) return;
+
+    let src = nextSrc;
+    nextSrc = undefined;
+    startCrossfade(src, Math.max(.1, remaining));
+    element.play();
+    notifyTrackChange(src);
+}
+
+// on "ended" - with gapless playback on, the next track (already loaded) starts right away
+function checkGapless(slot) {
+    if (slot != activeSlot || !nextSrc || !transition.gapless || sourceMode != SOURCE_MODES.file) return;
+
+    let src = nextSrc;
+    nextSrc = undefined;
+    loadSoundFile(src);
+    element.play();
+    notifyTrackChange(src);
+}
+
+function notifyTrackChange(src) {
+    for (let listener of trackChangeListeners) listener(src);
+}
+
+// jumps to time (in seconds) in the file that is playing
+function seek(time) {
+    if (!hasDuration()) return;
+    element.currentTime = Math.max(0, Math.min(element.duration, time));
+}
+
 function setVolume(value) {
     value = Number(value);
     gainNode.gain.value = value;
 }
 
-export { audioCtx, setupWebaudio, playCurrentSound, pauseCurrentSound, loadSoundFile, setVolume, analyserNode, element };
\ No newline at end of file
+// the compressor params are all AudioParams - threshold, knee, ratio, attack and release
+function setCompressorParam(param, value) {
+    if (!(param in DEFAULTS.compressor)) return;
+    compressor[param].value = Number(value);
+}
+
+// how many dB the compressor is turning the signal down right now (0 or less)
+function getCompressorReduction() {
+    // it used to be an AudioParam, it is a plain number now
+    let reduction = compressor.reduction;
+    return typeof reduction == "number" ? reduction : reduction.value;
+}
+
+function getCompressorSettings() {
+    let settings = {};
+    for (let param in DEFAULTS.compressor) {
+        settings[param] = compressor[param].value;
+    }
+    return settings;
+}
+
+// a MediaStream of the audio after the compressor - it gets the signal even while the live input
+// is kept off the speakers, so recordings of live sets work too
+function getRecordingStream() {
+    if (!recordingDestination) {
+        recordingDestination = audioCtx.createMediaStreamDestination();
+        compressor.connect(recordingDestination);
+    }
+    return recordingDestination.stream;
+}
+
+// "pre" lets the visuals see the audio before the effects, "post" after them
+function setAnalyserTap(tap) {
+    if (!ANALYSER_TAPS[tap]) return;
+
+    if (analyserTapNode) {
+        analyserTapNode.disconnect(analyserNode);
+        analyserTapNode.disconnect(channelSplitter);
+    }
+    analyserTapNode = tap == ANALYSER_TAPS.pre ? inputNode : effectsChain.output;
+    analyserTapNode.connect(analyserNode);
+    analyserTapNode.connect(channelSplitter);
+    analyserTap = tap;
+}
+
+function getAnalyserTap() {
+    return analyserTap;
+}
+
+function getSampleRate() {
+    return audioCtx.sampleRate;
+}
+
+// which frequency bin i of the main analyser is centered on, and the other way around (with a
+// fraction, for interpolating) - analysis.js does the sums, this is for the analyser as it is now
+function getBinFrequency(bin) {
+    return analysis.getBinFrequency(bin, audioCtx.sampleRate, analyserNode.fftSize);
+}
+
+function getFrequencyBin(frequency) {
+    return analysis.getFrequencyBin(frequency, audioCtx.sampleRate, analyserNode.fftSize);
+}
+
+// Switches the graph over to a live input. If no stream is passed in, we ask the browser for one.
+// The live input feeds the same effects -> gain -> compressor chain, but the compressor is
+// disconnected from the speakers so a microphone can't pick up its own output (feedback!)
+function startLiveInput(stream, deviceId) {
+    let getStream;
+    if (stream) {
+        getStream = Promise.resolve(stream);
+    }
+    else {
+        // turn off the voice-call processing, it flattens music
+        let constraints = {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        };
+        if (deviceId) constraints.deviceId = { exact: deviceId };
+        getStream = navigator.mediaDevices.getUserMedia({ audio: constraints });
+    }
+
+    return getStream.then(newStream => {
+        stopLiveStream();
+        stopFade();
+        element.pause();
+
+        liveStream = newStream;
+        liveSourceNode = audioCtx.createMediaStreamSource(liveStream);
+
+        if (sourceMode == SOURCE_MODES.file) {
+            mixNode.disconnect(inputNode);
+            compressor.disconnect(audioCtx.destination);
+        }
+        liveSourceNode.connect(inputNode);
+        sourceMode = SOURCE_MODES.live;
+    });
+}
+
+// goes back to playing files through the speakers
+function stopLiveInput() {
+    if (sourceMode == SOURCE_MODES.file) return;
+
+    stopLiveStream();
+    mixNode.connect(inputNode);
+    compressor.connect(audioCtx.destination);
+    sourceMode = SOURCE_MODES.file;
+}
+
+function stopLiveStream() {
+    if (liveSourceNode) liveSourceNode.disconnect();
+    if (liveStream) liveStream.getTracks().forEach(track => track.stop());
+    liveSourceNode = liveStream = undefined;
+}
+
+function getSourceMode() {
+    return sourceMode;
+}
+
+// true when there is a file loaded that has a known length (live input never does)
+function hasDuration() {
+    return sourceMode == SOURCE_MODES.file && isFinite(element.duration);
+}
+
+export {
+    audioCtx, setupWebaudio, playCurrentSound, pauseCurrentSound, loadSoundFile, seek, setVolume, analyserNode, channelAnalysers, meterAnalysers, element,
+    setTransition, getTransition, setNextTrack, onTrackChange, addElementListener,
+    SOURCE_MODES, startLiveInput, stopLiveInput, getSourceMode, hasDuration,
+    ANALYSER_TAPS, setAnalyserTap, getAnalyserTap, getSampleRate, getBinFrequency, getFrequencyBin,
+    setCompressorParam, getCompressorSettings, getCompressorReduction,
+    getRecordingStream
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+/*
+    beat.js finds beats in the frequency data the analyser gives us every frame.
+
+      - the spectrum is split into a kick, a snare and a hi-hat band
+      - for each band we measure the "spectral flux" - how much louder the band got since the last frame
+      - a beat is a jump in flux above an adaptive threshold (the recent average flux plus a few
+        standard deviations), so quiet tracks still get beats and loud tracks don't get them constantly
+      - the time between kicks (and snares, if there aren't enough kicks) is used to estimate the BPM
+
+    Use createBeatDetector() to get a detector, call update() once per frame,
+    and subscribe to beats with on("beat", callback)
+*/
+
+// frequency range (Hz) and the shortest gap (seconds) allowed between two beats in each band
+const BANDS = Object.freeze({
+    kick: Object.freeze({ low: 40, high: 150, minInterval: .25 }),
+    snare: Object.freeze({ low: 200, high: 2500, minInterval: .2 }),
+    hihat: Object.freeze({ low: 6000, high: 16000, minInterval: .1 })
+});
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    historySeconds: 1,          // how far back the adaptive threshold looks
+    sensitivity: 1.5,           // how many standard deviations above the average flux counts as a beat
+    minFlux: .01,               // ignore tiny changes, e.g. when the track is paused
+    pulseDecay: 6,              // how fast getPulse() falls back to 0 (per second)
+    tempoSeconds: 8,            // how many seconds of beats the BPM estimate uses
+    minBPM: 70,
+    maxBPM: 180
+});
+
+function createBeatDetector(sampleRate, fftSize, options = {}) {
+    let settings = Object.assign({}, DEFAULTS, options);
+    let listeners = {};
+    let previous;               // last frame's spectrum, normalised 0-1
+    let bands = {};             // per band state
+    let onsets = { kick: [], snare: [] };
+    let bpm = 0;
+    let confidence = 0;
+    let lastTime = 0;
+
+    setAnalyserSize(sampleRate, fftSize);
+
+    // works out which FFT bins belong to each band - called again if the FFT size changes
+    function setAnalyserSize(newSampleRate, newFFTSize) {
+        sampleRate = newSampleRate;
+        fftSize = newFFTSize;
+        let binWidth = sampleRate / fftSize;
+        let binCount = fftSize / 2;
+
+        for (let name in BANDS) {
+            let start = Math.min(binCount - 1, Math.floor(BANDS[name].low / binWidth));
+            let end = Math.min(binCount, Math.max(start + 1, Math.ceil(BANDS[name].high / binWidth)));
+            bands[name] = {
+                start,
+                end,
+                history: [],        // { time, flux }
+                flux: 0,
+                threshold: 0,
+                lastBeat: -Infinity,
+                pulse: 0
+            };
+        }
+        previous = undefined;
+    }
+
+    // frequencyData is the Uint8Array from getByteFrequencyData(), time is in seconds
+    // returns true if any band had a beat this frame
+    function update(frequencyData, time) {
+        let elapsed = Math.max(0, time - lastTime);
+        lastTime = time;
+        let anyBeat = false;
+
+        if (!previous || previous.length != frequencyData.length) {
+            previous = new Float32Array(frequencyData.length);
+        }
+
+        for (let name in bands) {
+            let band = bands[name];
+            band.pulse *= Math.exp(-settings.pulseDecay * elapsed);
+
+            // 1 - spectral flux: only count the bins that got louder
+            let flux = 0;
+            for (let i = band.start; i < band.end; i++) {
+                let difference = frequencyData[i] / 255 - previous[i];
+                if (difference > 0) flux += difference;
+            }
+            flux /= band.end - band.start;
+
+            // 2 - adaptive threshold from the recent history of this band
+            band.history.push({ time, flux });
+            while (band.history.length > 0 && band.history[0].time < time - settings.historySeconds) {
+                band.history.shift();
+            }
+            let mean = band.history.reduce((sum, entry) => sum + entry.flux, 0) / band.history.length;
+            let variance = band.history.reduce((sum, entry) => sum + (entry.flux - mean) ** 2, 0) / band.history.length;
+            band.threshold = Math.max(settings.minFlux, mean + settings.sensitivity * Math.sqrt(variance));
+            band.flux = flux;
+
+            // 3 - is it a beat?
+            if (flux > band.threshold && time - band.lastBeat >= BANDS[name].minInterval) {
+                band.lastBeat = time;
+                // how far over the threshold we went, 0-1
+                let strength = Math.min(1, (flux - band.threshold) / band.threshold);
+                band.pulse = Math.max(band.pulse, .5 + strength / 2);
+                anyBeat = true;
+
+                if (onsets[name]) {
+                    onsets[name].push(time);
+                    estimateTempo(time);
+                }
+
+                emit("beat", { band: name, strength, time, bpm, confidence });
+            }
+        }
+
+        for (let i = 0; i < frequencyData.length; i++) {
+            previous[i] = frequencyData[i] / 255;
+        }
+
+        return anyBeat;
+    }
+
+    // Builds a histogram of the tempos implied by the gaps between recent onsets
+    // (not just neighbouring ones), folded into minBPM..maxBPM. The tallest peak wins,
+    // and confidence is how much of the histogram that peak holds.
+    function estimateTempo(time) {
+        for (let name in onsets) {
+            onsets[name] = onsets[name].filter(onset => onset >= time - settings.tempoSeconds);
+        }
+
+        // kicks are the most reliable, fall back on snares
+        let times = onsets.kick.length >= 4 ? onsets.kick : onsets.kick.concat(onsets.snare).sort((a, b) => a - b);
+        if (times.length < 4) return;
+
+        let histogram = new Float32Array(settings.maxBPM + 1);
+        let total = 0;
+        for (let i = 0; i < times.length; i++) {
+            for (let j = i + 1; j < times.length && j <= i + 4; j++) {
+                // a kick and a snare can land on the same frame
+                let interval = times[j] - times[i];
+                if (interval <= 0) continue;
+
+                let tempo = 60 / interval;
+                while (tempo < settings.minBPM) tempo *= 2;
+                while (tempo > settings.maxBPM) tempo /= 2;
+                if (tempo < settings.minBPM) continue;
+
+                // closer onsets are more trustworthy
+                let weight = 1 / (j - i);
+                histogram[Math.round(tempo)] += weight;
+                total += weight;
+            }
+        }
+
+        let best = 0, bestWeight = 0;
+        for (let tempo = settings.minBPM; tempo <= settings.maxBPM; tempo++) {
+            // let the neighbours vote too, beats are never perfectly on time
+            let weight = histogram[tempo] + .5 * ((histogram[tempo - 1] || 0) + (histogram[tempo + 1] || 0));
+            if (weight > bestWeight) {
+                best = tempo;
+                bestWeight = weight;
+            }
+        }
+        if (total == 0) return;
+
+        // ease towards the new estimate so the readout doesn't flicker
+        bpm = bpm == 0 || Math.abs(bpm - best) > 10 ? best : bpm + (best - bpm) * .2;
+        confidence = Math.min(1, bestWeight / total);
+    }
+
+    function on(type, callback) {
+        if (!listeners[type]) listeners[type] = [];
+        listeners[type].push(callback);
+    }
+
+    function off(type, callback) {
+        if (!listeners[type]) return;
+        listeners[type] = listeners[type].filter(listener => listener != callback);
+    }
+
+    function emit(type, detail) {
+        if (!listeners[type]) return;
+        for (let listener of listeners[type]) listener(detail);
+    }
+
+    // starts over, e.g. when a new track is loaded
+    function reset() {
+        setAnalyserSize(sampleRate, fftSize);
+        onsets = { kick: [], snare: [] };
+        bpm = 0;
+        confidence = 0;
+        lastTime = 0;
+    }
+
+    return {
+        update,
+        on,
+        off,
+        reset,
+        setAnalyserSize,
+        // 1 right on a beat, falling back to 0 - handy for bounces and flashes
+        getPulse: band => bands[band] ? bands[band].pulse : 0,
+        isBeat: band => bands[band] ? bands[band].lastBeat == lastTime : false,
+        getBand: band => bands[band],
+        getBPM: () => Math.round(bpm),
+        getConfidence: () => confidence
+    };
+}
+
+export { BANDS, DEFAULTS, createBeatDetector };
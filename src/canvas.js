@@ -5,391 +5,390 @@
       - in draw(), it will loop through the data in the analyser node
       - and then draw something representative on the canvas
       - maybe a better name for this file/module would be *visualizer.js* ?
+
+    draw() doesn't look at the clock or the <audio> element itself - it is handed a "render clock"
+    (see createClock() in main.js) so the same drawing code can run in real time or offline.
+    The "analyser" can be anything shaped like an AnalyserNode (see fft.js for the offline one),
+    and so can the optional left/right channel analysers that the stereo layers use.
+    setupCanvas()/draw() drive the on-screen renderer, createRenderer() makes more of them.
+    setSource() points a renderer at another analyser, like a capture being replayed (capture.js).
+    Every renderer keeps to the photosensitivity safeguards (see safety.js).
 */
 
 import * as utils from './utils.js';
-import * as audio from './audio.js';
-
-let ctx, canvasWidth, canvasHeight, gradient, analyserNode, audioData;
-let bufferLength;
-let colorRotation = 0;
-let bounceLerpPercent = 0;
-let isBouncing = false;
-
-const KICK_FREQUENCY_START = 1;
-const KICK_FREQUENCY_END = 6;
-const KICK_BOUNCE_THRESHOLD = 220;
-const AUDIODATA_MAX_VOLUME = 256;
-
-function setupCanvas(canvasElement, analyserNodeRef) {
-    // create drawing context
-    ctx = canvasElement.getContext("2d");
-    canvasWidth = canvasElement.width;
-    canvasHeight = canvasElement.height;
-    // create a gradient that runs top to bottom
-    gradient = utils.getLinearGradient(ctx, 0, 0, 0, canvasHeight, [{ percent: 0, color: "magenta" }, { percent: .25, color: "green" }, { percent: .5, color: "yellow" }, { percent: .75, color: "green" }, { percent: 1, color: "magenta" }]);
-    // keep a reference to the analyser node
-    analyserNode = analyserNodeRef;
-    // this is the array where the analyser data will be stored
-    analyserNode.fftSize = 256;
-    bufferLength = analyserNode.frequencyBinCount;
-    audioData = new Uint8Array(bufferLength);
+import * as beat from './beat.js';
+import * as layers from './layers.js';
+import * as filters from './filters.js';
+import * as palette from './palette.js';
+import * as analysis from './analysis.js';
+import * as metering from './metering.js';
+import * as safety from './safety.js';
+
+// how much bigger (as a fraction of the radius) the circles get right on a kick
+const BOUNCE_AMOUNT = .2;
+// how far the circles and colors turn per second (this used to be .001 per frame at ~60fps)
+const ROTATION_SPEED = .06;
+// the layers were designed on an 800x400 canvas - their sizes are scaled from this height
+const REFERENCE_SIZE = 400;
+
+let renderer;
+let sceneFadeListeners = [];
+
+// the analyser settings (FFT size, smoothing ...) belong to analysis.js, the renderer just follows them
+// options are the same as createRenderer()'s
+function setupCanvas(canvasElement, analyserNodeRef, options = {}) {
+    // on screen, the image filters run in a worker so they don't slow the draw loop down
+    renderer = createRenderer(canvasElement, analyserNodeRef, Object.assign({ useWorker: true }, options));
+    watchCanvasSize(canvasElement);
 }
 
-function draw(params = {}, waveformHeight) {
-    // 1 - populate the audioData array with the frequency data from the analyserNode
-    // notice these arrays are passed "by reference" 
-    analyserNode.getByteFrequencyData(audioData);
-    // OR
-    //analyserNode.getByteTimeDomainData(audioData); // waveform data
-
-    // 2 - draw background
-    ctx.save();
-    ctx.fillStyle = "black";
-    ctx.globalAplha = .1;
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-    ctx.restore();
-
-    // 3 - draw gradient
-    if (params.showGradient) {
-        ctx.save();
-        ctx.fillStyle = gradient;
-        ctx.globalAplha = .3;
-        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-        ctx.restore();
-    }
-
-    // shows audio bars in a circle
-    if (params.showBarCircle) {
-        let numBars = audioData.length;
-        let radius = 100;
-        let barHeight = 75;
-        let theta = Math.PI * 2 / numBars;
-        let currentAngle = Math.PI + colorRotation;
-        let barWidth = 2 * Math.PI * radius / numBars;
-
-        // draw the bars
-        ctx.save();
-        //ctx.fillStyle = 'rgba(255,255,255,0.50)';
-        ctx.strokeStyle = "white";//'rgba(0,0,0,0.50)';
-
-        // Show the bounce effect on the visualizer when a kick happens
-        if (params.showBounce) {
-            let kickAvgVolume = 0;  // Average volume of the kick frequencies (100Hz - 1.3K Hz)
-            let newRadius;  // New radius to lerp to when a kick happens
-            let radiusDifference;
-
-            // Calcualte average kick volume
-            for (let i = KICK_FREQUENCY_START; i < KICK_FREQUENCY_END; i++) {
-                kickAvgVolume += audioData[i];
-            }
-
-            kickAvgVolume = kickAvgVolume / (KICK_FREQUENCY_END - KICK_FREQUENCY_START);
-            //console.log(kickAvgVolume);
-
-            // If the average kick volume is above a certain dB threshold, 
-            // calcualte newRadius
-            // NOTE: for WebAudio API, max dB for a given frequency data point is 256
-            if (kickAvgVolume > KICK_BOUNCE_THRESHOLD) {
-                newRadius = radius + (radius - (radius * (kickAvgVolume / AUDIODATA_MAX_VOLUME)));
-                //isBouncing = true;  // set isBoucing to true for lerpPercent values
-            }
-            else {
-                // if no kick is detected, set newRadius to radius
-                newRadius = radius;
-            }
-
-            radiusDifference = newRadius - radius;
-
-            if (radiusDifference != 0)
-                bounceLerpPercent = radiusDifference / radius;
-
-            // lerp between radius and newRadius
-            radius = utils.lerp(newRadius, radius, bounceLerpPercent);
+// Keeps the canvas bitmap the same size as the canvas on screen, in device pixels, so it stays sharp
+// on HiDPI screens and in fullscreen, and circles stay round whatever the aspect ratio.
+function watchCanvasSize(canvasElement) {
+    let observer = new ResizeObserver(entries => {
+        let entry = entries[0];
+        let width, height;
+
+        // devicePixelContentBoxSize is exact (and updates when the window moves to another screen),
+        // where it isn't supported we work it out from the CSS size
+        if (entry.devicePixelContentBoxSize) {
+            width = entry.devicePixelContentBoxSize[0].inlineSize;
+            height = entry.devicePixelContentBoxSize[0].blockSize;
+        }
+        else {
+            width = Math.round(entry.contentRect.width * window.devicePixelRatio);
+            height = Math.round(entry.contentRect.height * window.devicePixelRatio);
         }
 
-        for (let i = 0; i < numBars; i++) {
-            let percent = audioData[i] / 256;
-            //barHeight = barHeight * (percent * 1.20);
-            ctx.save();
-            let colorPercent = Math.abs(((currentAngle - Math.PI) / (Math.PI * 2)) + colorRotation);
-            ctx.fillStyle = `hsl(${360 * colorPercent},90%,65%)`;
-            ctx.translate(canvasWidth / 2, canvasHeight / 2);
-            ctx.rotate(currentAngle);
-            ctx.translate(0, radius);
-            ctx.fillRect(0, 0, barWidth, barHeight * percent);
-            //ctx.strokeRect(0, 0, barWidth, barHeight * percent);
-            ctx.restore();
-            currentAngle += theta;
+        // setting the size clears the canvas, so only do it when it changes
+        if (width > 0 && height > 0 && (width != canvasElement.width || height != canvasElement.height)) {
+            canvasElement.width = width;
+            canvasElement.height = height;
         }
-        ctx.restore();
+    });
 
+    try {
+        observer.observe(canvasElement, { box: "device-pixel-content-box" });
     }
-
-    // 4 - draw bars
-    if (params.showBars) {
-        let barSpacing = 4;
-        let margin = 5;
-        let screenWidthForBars = canvasWidth - (audioData.length * barSpacing) - margin * 2;
-        let barWidth = screenWidthForBars / bufferLength;
-        let barHeight = 200;
-        let topSpacing = 100;
-
-        ctx.save();
-        ctx.fillStyle = 'rgba(255,255,255,0.50)';
-        ctx.strokeStyle = 'rgba(0,0,0,0.50)';
-        // loop through the data and draw!
-        for (let i = 0; i < audioData.length; i++) {
-            ctx.translate(0, 0);
-            ctx.fillRect(margin + i * (barWidth + barSpacing), 256 - audioData[i], barWidth, barHeight);
-            //ctx.strokeRect(margin + i * (barWidth + barSpacing), topSpacing + 256 - audioData[i], barWidth, barHeight);
-        }
-        ctx.restore();
+    catch (e) {
+        observer.observe(canvasElement);
     }
+}
 
-    if (params.showWaveform) {
-        ctx.save();
+function draw(clock) {
+    renderer.draw(clock);
+}
 
-        ctx.strokeStyle = "white";
-        ctx.lineWidth = 3;
-        ctx.beginPath();
+function getBeatDetector() {
+    return renderer.getBeatDetector();
+}
 
-        let sliceWidth = canvasWidth / bufferLength;
-        let x = 0;
-        let sliceData;
-        let sliceImage;
+function startSceneFade(duration) {
+    renderer.startSceneFade(duration);
+    for (let listener of sceneFadeListeners) listener(duration);
+}
 
-        for (let i = 0; i < bufferLength; i++) {
+// called with the duration whenever the on-screen renderer starts a scene fade - so an output
+// window (see outputLink.js) can fade along with it
+function onSceneFade(callback) {
+    sceneFadeListeners.push(callback);
+}
 
-            let v = audioData[i] / bufferLength;
-            let y = v * (waveformHeight / 2) / 2;
+function getLoudnessMeter() {
+    return renderer.getLoudnessMeter();
+}
 
-            if (i === 0) {
-                ctx.moveTo(x, (waveformHeight / 2) - y);
-            } else {
-                ctx.lineTo(x, (waveformHeight / 2) - y);
-            }
+function getFlashGuard() {
+    return renderer.getFlashGuard();
+}
 
-            x += sliceWidth;
-        }
+function hitTest(x, y, grabbedId) {
+    return renderer.hitTest(x, y, grabbedId);
+}
 
-        ctx.lineTo(canvasWidth, (waveformHeight / 2));
-        ctx.stroke();
+function setSource(analyserNodeRef, channelAnalysers, meterAnalysers) {
+    renderer.setSource(analyserNodeRef, channelAnalysers, meterAnalysers);
+}
 
-        ctx.restore();
+// a renderer draws the layer stack onto one <canvas> from one analyser
+// it keeps its own beat detector and layer state, so an offline render doesn't disturb the live one
+// options.useWorker runs the image filters in a Web Worker (the picture is a frame or so behind, but never blocking)
+// options.channelAnalysers is [left, right], one analyser per channel for the stereo layers
+// options.meterAnalysers is [left, right] too, for the loudness meter (see metering.js) - they want
+//   a lot of samples, and to hear the very end of the graph
+// options.getCompressorReduction() says how far the compressor is turning it down, for the meter
+function createRenderer(canvasElement, analyserNode, options = {}) {
+    // create drawing context
+    let ctx = canvasElement.getContext("2d");
+    let sampleRate = analyserNode.context.sampleRate;
+    // these are the arrays where the analyser data will be stored, see sizeArrays()
+    let fftSize, bufferLength, audioData, decibelData, timeData;
+    let channels = (options.channelAnalysers || []).map(channelAnalyser => ({ analyser: channelAnalyser }));
+    let meterAnalysers = options.meterAnalysers || [];
+    let meterData = [];
+    let loudnessMeter = metering.createLoudnessMeter(sampleRate);
+    let layerStates = new Map();    // per layer instance state, see layers.drawLayers()
+    let filterStage = filters.createFilterStage(options.useWorker);
+    let paletteClock = palette.createPaletteClock();
+    let lastFrame;                  // kept for hitTest(), the pointer is checked against what is on screen
+    let sceneFade;                  // the scene that is fading out, see startSceneFade()
+    let flashGuard = safety.createFlashGuard();
+    let offscreen;                  // where a frame is drawn while the filter worker has the canvas, see draw()
+    let frameCount = 0, shownFrame = 0;     // so a frame that comes back from the worker late isn't shown over a newer one
+    let colorRotation, lastTime;    // the rotation builds up, so reduced motion can slow it without a jump
+
+    // the beat detector needs to know how wide each frequency bin is
+    let beatDetector = beat.createBeatDetector(sampleRate, analyserNode.fftSize);
+    sizeArrays();
+
+    // the arrays are as big as the FFT - it can change size at any time (see analysis.js),
+    // so draw() checks every frame and we make new ones when it does
+    function sizeArrays() {
+        fftSize = analyserNode.fftSize;
+        bufferLength = analyserNode.frequencyBinCount;
+        audioData = new Uint8Array(bufferLength);
+        // the same spectrum in decibels, for the band energies
+        decibelData = new Float32Array(bufferLength);
+        // the real waveform, -1 to 1 - for the oscilloscope
+        timeData = new Float32Array(fftSize);
+
+        for (let channel of channels) {
+            channel.frequencyData = new Uint8Array(channel.analyser.frequencyBinCount);
+            channel.timeData = new Float32Array(channel.analyser.fftSize);
+        }
+        meterData = meterAnalysers.map(meterAnalyser => new Float32Array(meterAnalyser.fftSize));
 
-        x = 0;
+        beatDetector.setAnalyserSize(sampleRate, fftSize);
     }
 
+    // draws from another analyser from now on - e.g. a capture being replayed (see capture.js),
+    // and then the live one again
+    function setSource(newAnalyserNode, channelAnalysers = [], newMeterAnalysers = []) {
+        analyserNode = newAnalyserNode;
+        sampleRate = analyserNode.context.sampleRate;
+        channels = channelAnalysers.map(channelAnalyser => ({ analyser: channelAnalyser }));
+        meterAnalysers = newMeterAnalysers;
+        sizeArrays();
+        beatDetector.reset();
+        loudnessMeter = metering.createLoudnessMeter(sampleRate);
+    }
 
-    // Circluar waveform
-    if (params.showCircleWaveform) {
-
-        let theta = Math.PI * 2 / bufferLength;
-        let currentAngle = -Math.PI / 2 + colorRotation;//Math.PI;// + colorRotation;
-
-        let radius = 100;
-        let formHeight = 75;
-        ctx.save();
-
-        ctx.strokeStyle = "white";
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-
-        let v, y, newX, newY;
-        if (params.showBounce) {
-            let kickAvgVolume = 0;  // Average volume of the kick frequencies (100Hz - 1.3K Hz)
-            let newRadius;  // New radius to lerp to when a kick happens
-            let radiusDifference;
-
-            // Calcualte average kick volume
-            for (let i = KICK_FREQUENCY_START; i < KICK_FREQUENCY_END; i++) {
-                kickAvgVolume += audioData[i];
-            }
-
-            kickAvgVolume = kickAvgVolume / (KICK_FREQUENCY_END - KICK_FREQUENCY_START);
-            //console.log(kickAvgVolume);
-
-            // If the average kick volume is above a certain dB threshold, 
-            // calcualte newRadius
-            // NOTE: for WebAudio API, max dB for a given frequency data point is 256
-            if (kickAvgVolume > KICK_BOUNCE_THRESHOLD) {
-                newRadius = radius + (radius - (radius * (kickAvgVolume / AUDIODATA_MAX_VOLUME)));
-                //isBouncing = true;  // set isBoucing to true for lerpPercent values
-            }
-            else {
-                // if no kick is detected, set newRadius to radius
-                newRadius = radius;
-            }
-
-            radiusDifference = newRadius - radius;
-
-            if (radiusDifference != 0)
-                bounceLerpPercent = radiusDifference / radius;
-
-            // lerp between radius and newRadius
-            radius = utils.lerp(newRadius, radius, bounceLerpPercent);
-        }
-        function calculateWave(index) {
-            v = audioData[index] / 256;
-            y = v * formHeight + radius;//waveformHeight / 2);// / 2;
-
-            newX = (y * Math.cos(currentAngle));
-            newY = (y * Math.sin(currentAngle));
+    // Call this right before a new scene (layers, palette ...) is loaded, e.g. by a cue (see cues.js).
+    // The layers on screen now carry on being drawn - with their own state and palette - on a canvas
+    // of their own, over the top of the new scene, fading out over duration seconds of render time.
+    function startSceneFade(duration) {
+        if (!(duration > 0)) {
+            sceneFade = undefined;
+            return;
         }
 
-        ctx.translate(canvasWidth / 2, canvasHeight / 2);
-        // going out
-        for (let i = 0; i < bufferLength; i++) {
-
+        let fadeCanvas = sceneFade ? sceneFade.canvas : document.createElement("canvas");
+        sceneFade = {
+            instances: layers.getStack().slice(),
+            states: new Map(layerStates),
+            palette: palette.getSettings(),
+            canvas: fadeCanvas,
+            ctx: fadeCanvas.getContext("2d"),
+            start: undefined,
+            duration
+        };
+    }
 
-            calculateWave(i);
-            if (i === 0) {
-                ctx.moveTo(newX, newY);
-            } else {
-                ctx.lineTo(newX, newY);
-            }
+    // is a meter layer on screen (or fading out)?
+    function isMetering() {
+        let isMeter = instance => instance.type == "meter" && instance.enabled;
+        return layers.getStack().some(isMeter) || Boolean(sceneFade && sceneFade.instances.some(isMeter));
+    }
 
-            currentAngle += theta;
+    // the old scene on its own canvas, laid over the new one - old * alpha + new * (1 - alpha)
+    function drawSceneFade(frame, paletteOffset) {
+        if (sceneFade.start == undefined || frame.time < sceneFade.start) sceneFade.start = frame.time;
+        let alpha = 1 - (frame.time - sceneFade.start) / sceneFade.duration;
+        if (alpha <= 0) {
+            sceneFade = undefined;
+            return;
         }
 
-        calculateWave(0);
-        ctx.lineTo(newX, newY);
-        ctx.stroke();
-        ctx.restore();
+        let { canvas: fadeCanvas, ctx: fadeCtx } = sceneFade;
+        if (fadeCanvas.width != frame.width || fadeCanvas.height != frame.height) {
+            fadeCanvas.width = frame.width;
+            fadeCanvas.height = frame.height;
+        }
+        fadeCtx.fillStyle = "black";
+        fadeCtx.fillRect(0, 0, frame.width, frame.height);
+
+        let fadeFrame = Object.assign({}, frame, {
+            ctx: fadeCtx,
+            palette: palette.createFramePalette(paletteOffset, sceneFade.palette),
+            barCircleRadius: getBarCircleRadius(sceneFade.instances)
+        });
+        layers.drawInstances(fadeFrame, sceneFade.states, sceneFade.instances);
+
+        frame.ctx.save();
+        frame.ctx.globalAlpha = alpha;
+        frame.ctx.drawImage(fadeCanvas, 0, 0);
+        frame.ctx.restore();
     }
 
-
-    if(params.showProgress) {
-        ctx.save();
-        let radius = 75;
-        ctx.strokeStyle = "white";
-        ctx.lineWidth = 3;
-
-        ctx.beginPath();
-        ctx.translate(canvasWidth / 2, canvasHeight/ 2);
-        let angle = Math.PI * 2 * (audio.element.currentTime / audio.element.duration);
-        ctx.arc(0,0, radius, 0 + colorRotation - (Math.PI / 2), angle + colorRotation - (Math.PI / 2), false);
-        ctx.stroke();
-        ctx.closePath();
-
-        ctx.restore();
+    // grows the radius with the kick pulse from the beat detector
+    function getBounceRadius(radius) {
+        return utils.lerp(radius, radius * (1 + BOUNCE_AMOUNT * safety.getMotionScale()), beatDetector.getPulse("kick"));
     }
 
-    // show date
-    if (params.showDate) {
-        let spacing = 15;
-        ctx.save();
-        ctx.font = "30px 'Bebas Neue', cursive";
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        ctx.fillStyle = `hsl(${360 * (colorRotation / 2)},75%,50%)`;
-        ctx.fillText(utils.getDate(), canvasWidth / 2, (canvasHeight / 2) - spacing);
-        ctx.fillText(utils.getTime(), canvasWidth / 2, (canvasHeight / 2) + spacing);
-        // ctx.strokeStyle = "black";
-        // ctx.lineWidth = 1.5;
-        // ctx.strokeText(utils.getDate(), canvasWidth/2, canvasHeight/2);
-        // ctx.strokeText(utils.getTime(), canvasWidth/2, canvasHeight/2 + 22);
-        ctx.restore();
+    // the radius (in design pixels, bouncing with it) of the first bar circle that is on in instances
+    function getBarCircleRadius(instances) {
+        let barCircle = instances.find(instance => instance.type == "barCircle" && instance.enabled);
+        if (!barCircle) return undefined;
+        return barCircle.params.bounce ? getBounceRadius(barCircle.params.radius) : barCircle.params.radius;
     }
 
-    if (params.showPixels) {
-        let sliceWidth = canvasWidth / bufferLength;
-        let x = 0;
-        let sliceData;
-        let sliceImage;
-
-        ctx.save();
-
-        for (let i = 0; i < bufferLength; i++) {
-
-            let v = audioData[i] / bufferLength;
-            let y = v * (waveformHeight / 2) / 2;
-
-            sliceImage = ctx.getImageData(x, (waveformHeight / 2) - y, sliceWidth, canvasHeight - ((waveformHeight / 2) - y));
-            sliceData = sliceImage.data;
-
-            for (let i = 0; i < sliceData.length; i += 4) {
-                let red = sliceData[i], green = sliceData[i + 1], blue = sliceData[i + 2];
-                sliceData[i] = 255 - red;
-                sliceData[i + 1] = 255 - green;
-                sliceData[i + 2] = 255 - blue;
-            }
-
-            ctx.putImageData(sliceImage, x, (5 + (waveformHeight / 2) - y));
-
-            x += sliceWidth;
+    // clock is { time, currentTime, duration, now, track }:
+    //   time - seconds on the render timeline, drives the beat detector and the rotation
+    //   currentTime/duration - where we are in the track (duration is NaN for live input)
+    //   now - the Date to show in the date layer
+    //   track - the playlist track ({ title, artist, cover ... }) for the track info layer, if there is one
+    function draw(clock) {
+        // the canvas can change size at any time (see watchCanvasSize), so we check every frame
+        let canvasWidth = canvasElement.width;
+        let canvasHeight = canvasElement.height;
+
+        if (analyserNode.fftSize != fftSize || channels.some(channel => channel.timeData.length != channel.analyser.fftSize)) {
+            sizeArrays();
         }
 
-        ctx.restore();
-    }
-
-    // 6 - bitmap manipulation
-    // TODO: right now. we are looping though every pixel of the canvas (320,000 of them!), 
-    // regardless of whether or not we are applying a pixel effect
-    // At some point, refactor this code so that we are looping though the image data only if
-    // it is necessary
-
-    // A) grab all of the pixels on the canvas and put them in the `data` array
-    // `imageData.data` is a `Uint8ClampedArray()` typed array that has 1.28 million elements!
-    // the variable `data` below is a reference to that array 
-    let imageData = ctx.getImageData(0, 0, canvasWidth, canvasHeight);
-    let data = imageData.data;
-    let length = data.length;
-    let width = imageData.width; // not using here
-    //let length = imageData.length;
-
-
-    // Emboss effect
-    if (params.showEmboss) {
-        for (let i = 0; i < length; i++) {
-            if (i % 4 == 3) continue; // skip alpha channel
-            data[i] = 127 + 2 * data[i] - data[i + 4] - data[i + width * 4];
-        }
-    }
-    // B) Iterate through each pixel, stepping 4 elements at a time (which is the RGBA for 1 pixel)
-    for (let i = 0; i < length; i += 4) {
-        // C) randomly change every 20th pixel to red
-        // data[i] is the red channel
-        // data[i+1] is the green channel
-        // data[i+2] is the blue channel
-        // data[i+3] is the alpha channel
-
-
-        if (params.showInvert) {
-            let red = data[i], green = data[i + 1], blue = data[i + 2];
-            data[i] = 255 - red;
-            data[i + 1] = 255 - green;
-            data[i + 2] = 255 - blue;
+        // 1 - populate the audioData array with the frequency data from the analyserNode
+        // notice these arrays are passed "by reference" 
+        analyserNode.getByteFrequencyData(audioData);
+        analyserNode.getFloatFrequencyData(decibelData);
+        // AND the waveform itself, as floats so nothing is lost to rounding
+        analyserNode.getFloatTimeDomainData(timeData);
+        // AND the same for each channel on its own, if we have them
+        for (let channel of channels) {
+            channel.analyser.getByteFrequencyData(channel.frequencyData);
+            channel.analyser.getFloatTimeDomainData(channel.timeData);
         }
 
-        // reference: https://www.phpied.com/pixel-manipulation-in-canvas/
-        // grayscale
-        if (params.showGrayscale) {
-            let red = data[i], green = data[i + 1], blue = data[i + 2];
-            let grayscale = .2126 * red + .7152 * green + .0722 * blue;
-            data[i] = data[i + 1] = data[i + 2] = grayscale;
+        // let the beat detector look at this frame - it fires "beat" events for anyone listening
+        beatDetector.update(audioData, clock.time);
+
+        // and the loudness meter, if we have something for it to listen to and a meter layer to show it -
+        // copying the meter analysers' buffers every frame isn't free, so nothing is measured without one
+        let loudness;
+        if (meterAnalysers.length > 0 && isMetering()) {
+            meterAnalysers.forEach((meterAnalyser, i) => meterAnalyser.getFloatTimeDomainData(meterData[i]));
+            loudnessMeter.update(meterData, clock.time);
+            loudness = Object.assign({}, loudnessMeter.getReadings(), {
+                reduction: options.getCompressorReduction ? options.getCompressorReduction() : 0
+            });
         }
 
-        // sepia
-        if (params.showSepia)
-        {
-            let red = data[i], green = data[i + 1], blue = data[i + 2];
-            let sepia = 0.3 * red + 0.59 * green + 0.11 * blue;
-            data[i] = sepia + 75;
-            data[i + 1] = sepia + 50;
-            data[i + 2]= sepia + 25;
+        // the color rotation and the palette cycling slow down (or stop) for reduced motion
+        let motionScale = safety.getMotionScale();
+        if (lastTime == undefined || clock.time < lastTime) colorRotation = clock.time * ROTATION_SPEED * motionScale;
+        else colorRotation += (clock.time - lastTime) * ROTATION_SPEED * motionScale;
+        lastTime = clock.time;
+        let paletteOffset = paletteClock.update(clock.time, beatDetector, motionScale);
+
+        // when the image filters run in the worker, the frame is drawn off screen and only goes on the
+        // canvas once it has been filtered (see step 4) - so the layers and the filters stay in step
+        let deferred = filterStage.usesWorker();
+        let drawCtx = deferred ? getOffscreenContext(canvasWidth, canvasHeight) : ctx;
+        let frameNumber = ++frameCount;
+
+        // 2 - draw background
+        drawCtx.save();
+        drawCtx.fillStyle = "black";
+        drawCtx.fillRect(0, 0, canvasWidth, canvasHeight);
+        drawCtx.restore();
+
+        // 3 - draw every enabled layer in the stack, see layers.js
+        // everything a layer needs to know about this frame goes in here
+        // unit is how many pixels a layer should use for 1 pixel of the 800x400 design, picked so the
+        // design fits inside the canvas (circles use it for both directions, so they stay round)
+        // heightUnit is the same thing for positions that just follow the height of the canvas
+        // palette is where the layers get their colors, see palette.js
+        // channels is [left, right] each with { frequencyData, timeData } - empty without channel analysers
+        // sampleRate and fftSize say which frequency each bin is - bin i is i * sampleRate / fftSize Hz
+        // analysis has the spectrum grouped into bands and the band energies, see analysis.js
+        // loudness is the meter readings (see metering.js) plus the compressor's reduction in dB,
+        // undefined without meter analysers (e.g. offline renders) or a meter layer to show it
+        // barCircleRadius is the bar circle's radius for the layers that go around it (undefined without one)
+        let frame = {
+            ctx: drawCtx,
+            width: canvasWidth,
+            height: canvasHeight,
+            unit: Math.min(canvasWidth, canvasHeight * 2) / (REFERENCE_SIZE * 2),
+            heightUnit: canvasHeight / REFERENCE_SIZE,
+            audioData,
+            bufferLength,
+            timeData,
+            channels,
+            sampleRate,
+            fftSize,
+            analysis: analysis.createFrameAnalysis(audioData, decibelData, analyserNode),
+            loudness,
+            colorRotation,
+            beatDetector,
+            getBounceRadius,
+            barCircleRadius: getBarCircleRadius(layers.getStack()),
+            palette: palette.createFramePalette(paletteOffset),
+            time: clock.time,
+            currentTime: clock.currentTime,
+            duration: clock.duration,
+            now: clock.now,
+            track: clock.track
+        };
+        layers.drawLayers(frame, layerStates);
+        lastFrame = frame;
+
+        // 3.5 - a cue is crossfading from one scene into this one
+        if (sceneFade) drawSceneFade(frame, paletteOffset);
+
+        // 4 - bitmap manipulation, only if there are image filters switched on (see filters.js)
+        if (deferred) {
+            filterStage.process(drawCtx, canvasWidth, canvasHeight, filtered => {
+                // a newer frame is up already, or the canvas changed size while the worker had this one
+                if (frameNumber < shownFrame || filtered.width != canvasElement.width || filtered.height != canvasElement.height) return;
+                shownFrame = frameNumber;
+                ctx.putImageData(filtered, 0, 0);
+                flashGuard.apply(ctx, filtered.width, filtered.height, clock.time);
+            });
+            return;
         }
-    } // end for
-
-    // not we are stepping through *each* sub-pixel
+        filterStage.process(ctx, canvasWidth, canvasHeight);
+        shownFrame = frameNumber;
 
+        // 5 - hold back any flashing, on the finished frame (see safety.js)
+        flashGuard.apply(ctx, canvasWidth, canvasHeight, clock.time);
+    }
 
-    // D) copy image data back to canvas
-    ctx.putImageData(imageData, 0, 0);
+    // the off screen canvas the frames are drawn on while the filter worker is in use
+    function getOffscreenContext(width, height) {
+        if (!offscreen) offscreen = document.createElement("canvas").getContext("2d");
+        if (offscreen.canvas.width != width || offscreen.canvas.height != height) {
+            offscreen.canvas.width = width;
+            offscreen.canvas.height = height;
+        }
+        return offscreen;
+    }
 
-    colorRotation += .001;
+    // which layer (if any) is under x, y in canvas pixels, see layers.hitTestLayers()
+    function hitTest(x, y, grabbedId) {
+        if (!lastFrame) return;
+        return layers.hitTestLayers(lastFrame, x, y, grabbedId);
+    }
 
+    return {
+        draw,
+        hitTest,
+        setSource,
+        startSceneFade,
+        getBeatDetector: () => beatDetector,
+        getLoudnessMeter: () => loudnessMeter,
+        getFlashGuard: () => flashGuard
+    };
 }
 
-export { setupCanvas, draw };
\ No newline at end of file
+export {
+    setupCanvas, draw, getBeatDetector, getLoudnessMeter, getFlashGuard, hitTest, setSource, startSceneFade, onSceneFade, createRenderer
+};
@@ -0,0 +1,258 @@
+/*
+    capture.js records what the analysers saw, frame by frame, so it can be played back later
+    without any audio at all:
+      - createCapture() reads the analysers once per frame (after the canvas has drawn) and keeps
+        the frequency data, the waveform and the render clock
+      - finish() packs it all into one compact file (.vizcap) - the numbers are kept as bytes,
+        the same as getByteFrequencyData()/getByteTimeDomainData() give them, and gzipped
+        where the browser can
+      - readCapture() opens a file like that and hands back a replay: analyser-shaped objects
+        (like fft.js's offline analyser) and the render clock of each frame, so the frames go
+        through the same renderer as the live canvas
+      - packFrame()/unpackFrame() and createReplay() are the same thing a frame at a time, for sending
+        the analyser data somewhere else as it happens (see outputLink.js)
+
+    Drawing a capture on any canvas (even a fake one, with no audio device - test/layerSnapshots.test.js
+    does this for every layer):
+        readCapture(file).then(replay => {
+            let renderer = canvas.createRenderer(canvasElement, replay.analyser, { channelAnalysers: replay.channelAnalysers });
+            for (let i = 0; i < replay.frameCount; i++) {
+                replay.setFrame(i);
+                renderer.draw(replay.getClock(i));
+            }
+        });
+*/
+
+const FILE_EXTENSION = "vizcap";
+
+// the file starts with these 4 bytes (after it is un-gzipped), then the version
+const MAGIC = "VCAP";
+const VERSION = 1;
+
+// per frame: time, currentTime, duration (Float64), fftSize (Uint32), minDecibels, maxDecibels (Float32)
+const FRAME_HEADER_SIZE = 8 * 3 + 4 + 4 * 2;
+
+// info (all optional):
+//   track - { title, artist } of what is playing, for the track info layer
+//   startDate - what the date layer showed at the start
+function createCapture(analyser, channelAnalysers = [], info = {}) {
+    let frames = [];
+
+    // clock is the render clock the canvas was just drawn with, see canvas.draw()
+    function addFrame(clock) {
+        frames.push(packFrame(analyser, channelAnalysers, clock));
+    }
+
+    function getFrameCount() {
+        return frames.length;
+    }
+
+    // resolves with the .vizcap file as a Blob
+    function finish() {
+        let header = new TextEncoder().encode(JSON.stringify(
+            Object.assign(createHeader(analyser, channelAnalysers, info), { frameCount: frames.length })
+        ));
+
+        // MAGIC, VERSION, the length of the header, the header, then the frames
+        let start = new Uint8Array(MAGIC.length + 1 + 4);
+        let view = new DataView(start.buffer);
+        for (let i = 0; i < MAGIC.length; i++) start[i] = MAGIC.charCodeAt(i);
+        start[MAGIC.length] = VERSION;
+        view.setUint32(MAGIC.length + 1, header.length, true);
+
+        let blob = new Blob([start, header, ...frames], { type: "application/octet-stream" });
+        if (typeof CompressionStream != "function") return Promise.resolve(blob);
+
+        return new Response(blob.stream().pipeThrough(new CompressionStream("gzip"))).blob();
+    }
+
+    return { addFrame, getFrameCount, finish };
+}
+
+// what a replay needs to know about the analysers, apart from the frames - see createReplay()
+function createHeader(analyser, channelAnalysers = [], info = {}) {
+    return {
+        sampleRate: analyser.context.sampleRate,
+        smoothingTimeConstant: analyser.smoothingTimeConstant,
+        channelCount: channelAnalysers.length,
+        channelFftSize: channelAnalysers.length > 0 ? channelAnalysers[0].fftSize : 0,
+        startDate: (info.startDate || new Date()).getTime(),
+        track: info.track ? { title: info.track.title, artist: info.track.artist } : null
+    };
+}
+
+// one frame of the analysers (and the render clock) as bytes - the channel analysers all have to be
+// the same size
+function packFrame(analyser, channelAnalysers, clock) {
+    let fftSize = analyser.fftSize;
+    let channelFftSize = channelAnalysers.length > 0 ? channelAnalysers[0].fftSize : 0;
+    let frame = new Uint8Array(FRAME_HEADER_SIZE + (fftSize + channelAnalysers.length * channelFftSize) * 1.5);
+    let view = new DataView(frame.buffer);
+
+    view.setFloat64(0, clock.time, true);
+    view.setFloat64(8, clock.currentTime, true);
+    view.setFloat64(16, clock.duration, true);
+    view.setUint32(24, fftSize, true);
+    view.setFloat32(28, analyser.minDecibels, true);
+    view.setFloat32(32, analyser.maxDecibels, true);
+
+    // the spectrum, then the waveform - straight into the frame, no copying - then the same per channel
+    let offset = FRAME_HEADER_SIZE;
+    for (let [frameAnalyser, size] of [[analyser, fftSize], ...channelAnalysers.map(channel => [channel, channelFftSize])]) {
+        frameAnalyser.getByteFrequencyData(frame.subarray(offset, offset + size / 2));
+        frameAnalyser.getByteTimeDomainData(frame.subarray(offset + size / 2, offset + size * 1.5));
+        offset += size * 1.5;
+    }
+
+    return frame;
+}
+
+// the frame at offset in bytes, for createReplay() - header says how many channels there are
+// throws if bytes ends before the frame does
+function unpackFrame(bytes, offset, header) {
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (offset + FRAME_HEADER_SIZE > bytes.length) throw new Error("The capture file is cut short");
+
+    let fftSize = view.getUint32(offset + 24, true);
+    let length = FRAME_HEADER_SIZE + (fftSize + header.channelCount * header.channelFftSize) * 1.5;
+    if (offset + length > bytes.length) throw new Error("The capture file is cut short");
+
+    return {
+        time: view.getFloat64(offset, true),
+        currentTime: view.getFloat64(offset + 8, true),
+        duration: view.getFloat64(offset + 16, true),
+        fftSize,
+        minDecibels: view.getFloat32(offset + 28, true),
+        maxDecibels: view.getFloat32(offset + 32, true),
+        data: bytes.subarray(offset + FRAME_HEADER_SIZE, offset + length)
+    };
+}
+
+// file is a Blob (or File) made by finish() - resolves with a replay, see createReplay()
+function readCapture(file) {
+    return file.arrayBuffer()
+        .then(buffer => {
+            let bytes = new Uint8Array(buffer);
+            // gzip files start with 1f 8b
+            if (bytes[0] != 0x1f || bytes[1] != 0x8b) return bytes;
+            if (typeof DecompressionStream != "function") throw new Error("This browser can't open compressed captures");
+
+            return new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip")))
+                .arrayBuffer()
+                .then(buffer => new Uint8Array(buffer));
+        })
+        .then(parseCapture);
+}
+
+function parseCapture(bytes) {
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let magic = String.fromCharCode(...bytes.subarray(0, MAGIC.length));
+    if (magic != MAGIC) throw new Error("This is not a capture file");
+    if (bytes[MAGIC.length] != VERSION) throw new Error(`Unknown capture version ${bytes[MAGIC.length]}`);
+
+    let headerLength = view.getUint32(MAGIC.length + 1, true);
+    let offset = MAGIC.length + 1 + 4;
+    let header = JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + headerLength)));
+    offset += headerLength;
+    if (header.frameCount == 0) throw new Error("The capture has no frames in it");
+
+    // we only need to know where each frame starts, the data is read when it is played
+    let frames = [];
+    for (let i = 0; i < header.frameCount; i++) {
+        let frame = unpackFrame(bytes, offset, header);
+        frames.push(frame);
+        offset += FRAME_HEADER_SIZE + frame.data.length;
+    }
+
+    return createReplay(header, frames);
+}
+
+// A replay has an analyser and channel analysers shaped like AnalyserNodes - setFrame() points them
+// at a frame, and getClock() is the render clock that frame was drawn with.
+// The float getters are worked back out from the bytes, so they are only as exact as the bytes.
+// The frames array is read as it plays, so frames can be swapped into it after (see outputLink.js).
+function createReplay(header, frames) {
+    let frame = frames[0];
+    let channelFftSize = header.channelFftSize;
+
+    // getOffset() is where this analyser's bytes start in the frame's data: the spectrum, then the waveform
+    function createReplayAnalyser(getOffset, getFftSize) {
+        let frequencyData = () => frame.data.subarray(getOffset(), getOffset() + getFftSize() / 2);
+        let timeData = () => frame.data.subarray(getOffset() + getFftSize() / 2, getOffset() + getFftSize() * 1.5);
+
+        let analyser = {
+            get fftSize() { return getFftSize(); },
+            get frequencyBinCount() { return getFftSize() / 2; },
+            get minDecibels() { return frame.minDecibels; },
+            get maxDecibels() { return frame.maxDecibels; },
+            smoothingTimeConstant: header.smoothingTimeConstant,
+            context: { sampleRate: header.sampleRate },
+            getByteFrequencyData: array => copyInto(array, frequencyData()),
+            getByteTimeDomainData: array => copyInto(array, timeData()),
+            // byte 0 is anything at or below minDecibels, so that is what it comes back as
+            getFloatFrequencyData: array => {
+                let data = frequencyData();
+                let range = frame.maxDecibels - frame.minDecibels;
+                let count = Math.min(array.length, data.length);
+                for (let i = 0; i < count; i++) array[i] = frame.minDecibels + data[i] / 255 * range;
+            },
+            getFloatTimeDomainData: array => {
+                let data = timeData();
+                let count = Math.min(array.length, data.length);
+                for (let i = 0; i < count; i++) array[i] = data[i] / 128 - 1;
+            }
+        };
+        return analyser;
+    }
+
+    let analyser = createReplayAnalyser(() => 0, () => frame.fftSize);
+    let channelAnalysers = [];
+    for (let i = 0; i < header.channelCount; i++) {
+        channelAnalysers.push(createReplayAnalyser(() => frame.fftSize * 1.5 + i * channelFftSize * 1.5, () => channelFftSize));
+    }
+
+    function setFrame(index) {
+        frame = frames[Math.max(0, Math.min(frames.length - 1, index))];
+    }
+
+    function getClock(index) {
+        let clockFrame = frames[Math.max(0, Math.min(frames.length - 1, index))];
+        return {
+            time: clockFrame.time,
+            currentTime: clockFrame.currentTime,
+            duration: clockFrame.duration,
+            now: new Date(header.startDate + (clockFrame.time - frames[0].time) * 1000),
+            track: header.track || undefined
+        };
+    }
+
+    // the frame that was showing seconds after the capture started - for playing it back in real time
+    function getFrameAt(seconds) {
+        let time = frames[0].time + seconds;
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            let middle = Math.ceil((low + high) / 2);
+            if (frames[middle].time <= time) low = middle;
+            else high = middle - 1;
+        }
+        return low;
+    }
+
+    return {
+        frameCount: frames.length,
+        duration: frames.length > 0 ? frames[frames.length - 1].time - frames[0].time : 0,
+        sampleRate: header.sampleRate,
+        analyser,
+        channelAnalysers,
+        setFrame,
+        getClock,
+        getFrameAt
+    };
+}
+
+function copyInto(array, data) {
+    array.set(data.subarray(0, Math.min(array.length, data.length)));
+}
+
+export { FILE_EXTENSION, createCapture, createHeader, packFrame, unpackFrame, createReplay, readCapture };
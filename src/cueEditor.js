@@ -0,0 +1,140 @@
+/*
+    cueEditor.js builds the cue list controls (see cues.js):
+      - "Add Cue" takes the look on screen now and cues it at the playhead, or after a number of beats
+      - every cue in the list can be jumped to, given the look on screen now, or removed
+      - the list is saved as <track name>.cues.json, and a saved list can be loaded back in
+    The editor works on the current track's list - options say what that is:
+      getTrack() - the playlist track, getTime() - the playhead in seconds, seek(time),
+      loadCuesFile(track, file) - gives the track the cue list in file, or says why it can't
+*/
+
+import * as cues from './cues.js';
+import * as files from './files.js';
+import * as utils from './utils.js';
+
+function setupCueEditor(container, options) {
+    container.innerHTML = "";
+
+    // adding - these controls stay put, only the list is redrawn
+    let triggerSelect = document.createElement("select");
+    for (let [value, label] of [[cues.TRIGGERS.time, "At the playhead"], [cues.TRIGGERS.beats, "After beats"]]) {
+        let option = document.createElement("option");
+        option.value = value;
+        option.text = label;
+        triggerSelect.appendChild(option);
+    }
+
+    let beatsInput = createNumberInput(1, 256, 1, cues.DEFAULTS.beats);
+    beatsInput.title = "How many kicks after the cue before it";
+    beatsInput.disabled = true;
+    triggerSelect.onchange = e => beatsInput.disabled = e.target.value != cues.TRIGGERS.beats;
+
+    let fadeInput = createNumberInput(0, 10, .5, cues.DEFAULTS.fade);
+    fadeInput.title = "Seconds to crossfade into the cue";
+
+    let addButton = document.createElement("button");
+    addButton.innerHTML = "Add Cue";
+    addButton.title = "Cues the look on screen now";
+    addButton.onclick = e => {
+        if (!options.getTrack()) return;
+        let value = triggerSelect.value == cues.TRIGGERS.beats ? Number(beatsInput.value) : options.getTime();
+        cues.addCue(cues.createCue(triggerSelect.value, value, cues.captureScene(), Number(fadeInput.value)));
+    };
+
+    let addRow = document.createElement("div");
+    addRow.append(triggerSelect, beatsInput, "Fade", fadeInput, "s", addButton);
+    container.appendChild(addRow);
+
+    // the list
+    let list = document.createElement("ol");
+    list.className = "cueList";
+    container.appendChild(list);
+
+    // saving and loading
+    let saveButton = document.createElement("button");
+    saveButton.innerHTML = "Save Cues";
+    saveButton.onclick = e => {
+        let track = options.getTrack();
+        if (!track) return;
+        let blob = new Blob([cues.serializeCues()], { type: "application/json" });
+        utils.downloadBlob(blob, `${getTrackFileName(track)}${files.CUES_SUFFIX}`);
+    };
+
+    let loadInput = document.createElement("input");
+    loadInput.type = "file";
+    loadInput.accept = ".json";
+    loadInput.title = "Load a cue list for this track";
+    loadInput.onchange = e => {
+        let file = e.target.files[0];
+        let track = options.getTrack();
+        e.target.value = "";
+        if (!file || !track) return;
+        options.loadCuesFile(track, file);
+    };
+
+    let fileRow = document.createElement("div");
+    fileRow.append(saveButton, loadInput);
+    container.appendChild(fileRow);
+
+    cues.onChange((cueList, activeIndex) => renderCueList(list, cueList, activeIndex, options));
+    renderCueList(list, cues.getCues(), cues.getActiveIndex(), options);
+}
+
+function renderCueList(list, cueList, activeIndex, options) {
+    list.innerHTML = "";
+
+    cueList.forEach((cue, index) => {
+        let item = document.createElement("li");
+        if (index == activeIndex) item.className = "active";
+
+        let when = document.createElement("span");
+        when.innerHTML = cue.trigger == cues.TRIGGERS.beats ? `+${cue.beats} beats` : formatCueTime(cue.time);
+        when.title = `Fades in over ${cue.fade} s`;
+
+        let goButton = document.createElement("button");
+        goButton.innerHTML = "Go";
+        goButton.title = "Show this cue now";
+        goButton.onclick = e => {
+            if (cue.trigger == cues.TRIGGERS.time) options.seek(cue.time);
+            cues.goToCue(index);
+        };
+
+        let updateButton = document.createElement("button");
+        updateButton.innerHTML = "Update";
+        updateButton.title = "Give this cue the look on screen now";
+        updateButton.onclick = e => cues.updateCueScene(index);
+
+        let removeButton = document.createElement("button");
+        removeButton.innerHTML = "&times;";
+        removeButton.title = "Remove this cue";
+        removeButton.onclick = e => cues.removeCue(index);
+
+        item.append(when, goButton, updateButton, removeButton);
+        list.appendChild(item);
+    });
+}
+
+function createNumberInput(min, max, step, value) {
+    let input = document.createElement("input");
+    input.type = "number";
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = value;
+    return input;
+}
+
+// mm:ss.s - cues are set more finely than the progress display shows
+function formatCueTime(time) {
+    let minutes = Math.floor(time / 60).toString().padStart(2, "0");
+    let seconds = (time % 60).toFixed(1).padStart(4, "0");
+    return `${minutes}:${seconds}`;
+}
+
+// the track's file name without the extension - "media/FANCY.mp3" is "FANCY"
+function getTrackFileName(track) {
+    let name = track.file ? track.file.name : decodeURIComponent(track.src.split("/").pop());
+    return files.getBaseName(name);
+}
+
+export { setupCueEditor };
@@ -0,0 +1,206 @@
+/*
+    cues.js changes the look of the visualizer at set points while a track plays - for shows:
+      - a cue fires at a time in the track, or after a number of beats (kicks) since the cue before it
+      - each cue carries a scene: the layers, filters and palette, the same as those sections of a
+        preset (see presets.js), and how many seconds to crossfade into it (see canvas.startSceneFade())
+      - the list plays in order, like a script - a time cue that has been passed fires even if the
+        beat cue in front of it is still waiting
+      - seeking jumps straight to the scene that belongs at that point, without a fade
+      - the cue list lives on the track (track.cues) and is saved as <track name>.cues.json, so it
+        can be loaded again along with the track (see files.js)
+*/
+
+import * as presets from './presets.js';
+import * as canvas from './canvas.js';
+
+const VERSION = 1;
+
+const TRIGGERS = Object.freeze({
+    time: "time",
+    beats: "beats"
+});
+
+// the preset sections that make up a scene - the audio settings are left alone
+const SCENE_SECTIONS = Object.freeze(["layers", "filters", "palette"]);
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    fade: 1,        // seconds
+    beats: 16
+});
+
+// the playhead moving further than this (in seconds) between two frames is a seek, not playing
+const SEEK_THRESHOLD = .5;
+
+let cues = [];              // the current track's list - the same array as track.cues, so edits stay with it
+let baseScene;              // how things looked before the first cue
+let activeIndex = -1;       // the cue whose scene is showing, -1 for the base scene
+let beatCount = 0;          // kicks since the active cue fired
+let lastTime;
+let listeners = [];
+
+// trigger is TRIGGERS.time (value is the time in seconds) or TRIGGERS.beats (value is how many)
+function createCue(trigger, value, scene = captureScene(), fade = DEFAULTS.fade) {
+    let cue = { trigger, fade: Math.max(0, Number(fade)) || 0, scene };
+    if (trigger == TRIGGERS.beats) cue.beats = Math.max(1, Math.round(value));
+    else cue.time = Math.max(0, Number(value));
+    return cue;
+}
+
+// what is on screen now, as a scene
+function captureScene() {
+    let state = presets.captureState();
+    let scene = {};
+    for (let name of SCENE_SECTIONS) {
+        if (name in state.sections) scene[name] = state.sections[name];
+    }
+    return scene;
+}
+
+// fade is in seconds, 0 cuts straight to the scene
+// nothing is asked here - the flash-prone effects in a list's scenes are confirmed when it is loaded
+function applyScene(scene, fade) {
+    canvas.startSceneFade(fade);
+    presets.applyState({ version: VERSION, sections: scene });
+}
+
+// makes list (a track's cues) the one that plays - the look on screen now is where it starts from
+function loadCues(list) {
+    // put back how things looked before the last track's cues
+    if (activeIndex != -1 && baseScene) applyScene(baseScene, 0);
+
+    cues = list;
+    baseScene = captureScene();
+    activeIndex = -1;
+    beatCount = 0;
+    lastTime = undefined;
+    notify();
+}
+
+function getCues() {
+    return cues;
+}
+
+function getActiveIndex() {
+    return activeIndex;
+}
+
+// time cues go in time order, a beat cue goes right after the cue that is showing
+// returns the index the cue ended up at
+function addCue(cue) {
+    let index;
+    if (cue.trigger == TRIGGERS.beats) {
+        index = activeIndex + 1;
+    }
+    else {
+        index = cues.findIndex(other => other.trigger == TRIGGERS.time && other.time > cue.time);
+        if (index == -1) index = cues.length;
+    }
+
+    cues.splice(index, 0, cue);
+    if (index <= activeIndex) activeIndex++;
+    notify();
+    return index;
+}
+
+function removeCue(index) {
+    if (index < 0 || index >= cues.length) return;
+
+    cues.splice(index, 1);
+    if (index < activeIndex) activeIndex--;
+    else if (index == activeIndex) activeIndex = findLastTimeCue(lastTime || 0, index - 1);
+    notify();
+}
+
+// the cue gets the look on screen now
+function updateCueScene(index) {
+    if (!cues[index]) return;
+    cues[index].scene = captureScene();
+    notify();
+}
+
+// shows a cue's scene right away (or the base scene for -1), with its fade
+function goToCue(index) {
+    if (index < -1 || index >= cues.length) return;
+    activate(index, index == -1 ? 0 : cues[index].fade);
+}
+
+// call every frame with where the track is and the beat detector
+function update(currentTime, beatDetector) {
+    let seeked = lastTime != undefined && Math.abs(currentTime - lastTime) > SEEK_THRESHOLD;
+    lastTime = currentTime;
+    if (cues.length == 0) return;
+
+    let timeIndex = findLastTimeCue(currentTime);
+
+    if (seeked) {
+        if (timeIndex != activeIndex) activate(timeIndex, 0);
+        return;
+    }
+
+    // a time cue we have reached - it wins over any beat cues still waiting in front of it
+    if (timeIndex > activeIndex) {
+        activate(timeIndex, cues[timeIndex].fade);
+        return;
+    }
+
+    let next = cues[activeIndex + 1];
+    if (next && next.trigger == TRIGGERS.beats) {
+        if (beatDetector.isBeat("kick")) beatCount++;
+        if (beatCount >= next.beats) activate(activeIndex + 1, next.fade);
+    }
+}
+
+function activate(index, fade) {
+    activeIndex = index;
+    beatCount = 0;
+    applyScene(index == -1 ? baseScene : cues[index].scene, fade);
+    notify();
+}
+
+// the index of the last time cue at or before time (looking no further than before), -1 for none
+function findLastTimeCue(time, before = cues.length - 1) {
+    for (let i = Math.min(before, cues.length - 1); i >= 0; i--) {
+        if (cues[i].trigger == TRIGGERS.time && cues[i].time <= time) return i;
+    }
+    return -1;
+}
+
+function serializeCues(list = cues) {
+    return JSON.stringify({ version: VERSION, cues: list }, null, 2);
+}
+
+// text is a .cues.json file - throws if it isn't one
+function parseCues(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    }
+    catch (e) {
+        throw new Error("That is not a cue list.");
+    }
+    if (!data || !Array.isArray(data.cues)) throw new Error("That is not a cue list.");
+
+    return data.cues.map((saved, i) => {
+        let isTime = saved.trigger == TRIGGERS.time && isFinite(saved.time);
+        let isBeats = saved.trigger == TRIGGERS.beats && saved.beats >= 1;
+        if ((!isTime && !isBeats) || !saved.scene || typeof saved.scene != "object") {
+            throw new Error(`Cue ${i + 1} of the cue list is broken.`);
+        }
+        return createCue(saved.trigger, isTime ? saved.time : saved.beats, saved.scene, saved.fade);
+    });
+}
+
+// called when the list changes or another cue becomes active
+function onChange(callback) {
+    listeners.push(callback);
+}
+
+function notify() {
+    for (let listener of listeners) listener(cues, activeIndex);
+}
+
+export {
+    TRIGGERS, SCENE_SECTIONS, DEFAULTS, createCue, captureScene, loadCues, getCues, getActiveIndex,
+    addCue, removeCue, updateCueScene, goToCue, update, serializeCues, parseCues, onChange
+};
@@ -0,0 +1,230 @@
+/*
+    effects.js builds the user-controllable effects chain that sits between the source and the volume:
+
+        input -> EQ -> sweep filter -> delay -> reverb -> output
+
+      - each effect is a small sub-graph wrapped in an input and an output GainNode
+      - bypassing an effect connects its input straight to its output, skipping the processing
+      - audio.js plugs the chain into the main graph, main.js hooks the controls up to setEffectParam()
+*/
+
+// 5 band EQ - a shelf at each end and three peaking bands in between
+const EQ_BANDS = Object.freeze([
+    { type: "lowshelf", frequency: 60 },
+    { type: "peaking", frequency: 230 },
+    { type: "peaking", frequency: 910 },
+    { type: "peaking", frequency: 3600 },
+    { type: "highshelf", frequency: 14000 }
+]);
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    eq: { bypass: false, gains: [0, 0, 0, 0, 0] },
+    filter: { bypass: true, type: "lowpass", frequency: 20000, Q: 1 },
+    delay: { bypass: true, time: .3, feedback: .35, mix: .3 },
+    reverb: { bypass: true, seconds: 2.5, decay: 3, mix: .3 }
+});
+
+// the order the effects are chained in
+const EFFECT_ORDER = Object.freeze(["eq", "filter", "delay", "reverb"]);
+
+let audioCtx;
+let effects = {};   // name -> { input, output, nodes, settings }
+
+function setupEffects(audioCtxRef) {
+    audioCtx = audioCtxRef;
+
+    effects.eq = createEQ();
+    effects.filter = createFilter();
+    effects.delay = createDelay();
+    effects.reverb = createReverb();
+
+    // chain the effects together
+    for (let i = 0; i < EFFECT_ORDER.length - 1; i++) {
+        effects[EFFECT_ORDER[i]].output.connect(effects[EFFECT_ORDER[i + 1]].input);
+    }
+
+    // wire each effect up as either processing or bypassed
+    for (let name of EFFECT_ORDER) {
+        setEffectParam(name, "bypass", effects[name].settings.bypass);
+    }
+
+    return {
+        input: effects[EFFECT_ORDER[0]].input,
+        output: effects[EFFECT_ORDER[EFFECT_ORDER.length - 1]].output
+    };
+}
+
+// every effect starts out as an input and an output gain node
+// processIn/processOut are where the input connects to when the effect is NOT bypassed
+function createEffect(name, processIn, processOut) {
+    let effect = {
+        input: audioCtx.createGain(),
+        output: audioCtx.createGain(),
+        processIn: processIn,
+        nodes: {},
+        settings: JSON.parse(JSON.stringify(DEFAULTS[name]))
+    };
+    processOut.connect(effect.output);
+    return effect;
+}
+
+function createEQ() {
+    let bands = EQ_BANDS.map(band => {
+        let filter = audioCtx.createBiquadFilter();
+        filter.type = band.type;
+        filter.frequency.value = band.frequency;
+        filter.gain.value = 0;
+        return filter;
+    });
+
+    for (let i = 0; i < bands.length - 1; i++) {
+        bands[i].connect(bands[i + 1]);
+    }
+
+    let effect = createEffect("eq", bands[0], bands[bands.length - 1]);
+    effect.nodes.bands = bands;
+    effect.settings.gains.forEach((gain, i) => bands[i].gain.value = gain);
+    return effect;
+}
+
+function createFilter() {
+    let filter = audioCtx.createBiquadFilter();
+    let effect = createEffect("filter", filter, filter);
+    effect.nodes.filter = filter;
+
+    filter.type = effect.settings.type;
+    filter.frequency.value = effect.settings.frequency;
+    filter.Q.value = effect.settings.Q;
+    return effect;
+}
+
+// the delay is mixed in on top of the dry signal, and part of it is fed back in to make echoes
+function createDelay() {
+    let split = audioCtx.createGain();
+    let merge = audioCtx.createGain();
+    let dry = audioCtx.createGain();
+    let wet = audioCtx.createGain();
+    let delay = audioCtx.createDelay(5);
+    let feedback = audioCtx.createGain();
+
+    split.connect(dry);
+    dry.connect(merge);
+    split.connect(delay);
+    delay.connect(feedback);
+    feedback.connect(delay);
+    delay.connect(wet);
+    wet.connect(merge);
+
+    let effect = createEffect("delay", split, merge);
+    effect.nodes = { dry, wet, delay, feedback };
+
+    delay.delayTime.value = effect.settings.time;
+    feedback.gain.value = effect.settings.feedback;
+    setMix(effect, effect.settings.mix);
+    return effect;
+}
+
+function createReverb() {
+    let split = audioCtx.createGain();
+    let merge = audioCtx.createGain();
+    let dry = audioCtx.createGain();
+    let wet = audioCtx.createGain();
+    let convolver = audioCtx.createConvolver();
+
+    split.connect(dry);
+    dry.connect(merge);
+    split.connect(convolver);
+    convolver.connect(wet);
+    wet.connect(merge);
+
+    let effect = createEffect("reverb", split, merge);
+    effect.nodes = { dry, wet, convolver };
+
+    convolver.buffer = createImpulseResponse(effect.settings.seconds, effect.settings.decay);
+    setMix(effect, effect.settings.mix);
+    return effect;
+}
+
+// we don't ship any recorded rooms, so the reverb uses stereo noise that fades away
+// a bigger decay fades out faster
+function createImpulseResponse(seconds, decay) {
+    let length = Math.max(1, Math.floor(audioCtx.sampleRate * seconds));
+    let impulse = audioCtx.createBuffer(2, length, audioCtx.sampleRate);
+
+    for (let channel = 0; channel < impulse.numberOfChannels; channel++) {
+        let data = impulse.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+        }
+    }
+
+    return impulse;
+}
+
+// 0 is all dry, 1 is all wet
+function setMix(effect, mix) {
+    effect.nodes.dry.gain.value = 1 - mix;
+    effect.nodes.wet.gain.value = mix;
+}
+
+function setEffectParam(name, param, value) {
+    let effect = effects[name];
+    if (!effect) return;
+
+    if (param == "bypass") {
+        value = Boolean(value);
+        effect.input.disconnect();
+        effect.input.connect(value ? effect.output : effect.processIn);
+        effect.settings.bypass = value;
+        return;
+    }
+
+    // the filter type is the only setting that isn't a number
+    if (param != "type") value = Number(value);
+
+    switch (name) {
+        case "eq": {
+            // EQ params are named by band: "gain0", "gain1" ...
+            let band = parseInt(param.replace("gain", ""));
+            if (!effect.nodes.bands[band]) return;
+            effect.nodes.bands[band].gain.value = value;
+            effect.settings.gains[band] = value;
+            return;
+        }
+
+        case "filter":
+            if (param == "type") effect.nodes.filter.type = value;
+            else if (param == "frequency") effect.nodes.filter.frequency.value = value;
+            else if (param == "Q") effect.nodes.filter.Q.value = value;
+            else return;
+            break;
+
+        case "delay":
+            if (param == "time") effect.nodes.delay.delayTime.value = value;
+            else if (param == "feedback") effect.nodes.feedback.gain.value = value;
+            else if (param == "mix") setMix(effect, value);
+            else return;
+            break;
+
+        case "reverb":
+            if (param == "mix") setMix(effect, value);
+            else if (param == "seconds") effect.nodes.convolver.buffer = createImpulseResponse(value, effect.settings.decay);
+            else if (param == "decay") effect.nodes.convolver.buffer = createImpulseResponse(effect.settings.seconds, value);
+            else return;
+            break;
+    }
+
+    effect.settings[param] = value;
+}
+
+// a copy of every effect's settings, e.g. { eq: { bypass: false, gains: [...] }, filter: {...} }
+function getEffectSettings() {
+    let settings = {};
+    for (let name of EFFECT_ORDER) {
+        settings[name] = JSON.parse(JSON.stringify(effects[name].settings));
+    }
+    return settings;
+}
+
+export { EQ_BANDS, DEFAULTS, EFFECT_ORDER, setupEffects, setEffectParam, getEffectSettings };
@@ -0,0 +1,153 @@
+/*
+    fft.js does what an AnalyserNode does, but on samples we already have (e.g. a decoded AudioBuffer).
+    That way an offline render sees the same numbers the live visualizer would have seen.
+
+    It follows the Web Audio spec for AnalyserNode:
+        mix down to mono -> Blackman window -> FFT -> magnitude / fftSize
+        -> smoothing over time -> decibels -> scaled to 0-255 between minDecibels and maxDecibels
+*/
+
+// here we are faking an enumeration - these are the AnalyserNode defaults
+const DEFAULTS = Object.freeze({
+    fftSize: 2048,
+    smoothingTimeConstant: .8,
+    minDecibels: -100,
+    maxDecibels: -30
+});
+
+// an in-place radix-2 FFT for one size - the bit reversal table and twiddles are worked out once
+function createFFT(size) {
+    let bits = Math.log2(size);
+    let reversed = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+        let r = 0;
+        for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1);
+        reversed[i] = r;
+    }
+
+    let cos = new Float64Array(size / 2);
+    let sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+        cos[i] = Math.cos(-2 * Math.PI * i / size);
+        sin[i] = Math.sin(-2 * Math.PI * i / size);
+    }
+
+    // real and imag are Float64Arrays of length size, the result replaces them
+    return (real, imag) => {
+        for (let i = 0; i < size; i++) {
+            let j = reversed[i];
+            if (j > i) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let half = 1; half < size; half *= 2) {
+            let step = size / (half * 2);
+            for (let start = 0; start < size; start += half * 2) {
+                for (let k = 0; k < half; k++) {
+                    let a = start + k, b = a + half;
+                    let tr = real[b] * cos[k * step] - imag[b] * sin[k * step];
+                    let ti = real[b] * sin[k * step] + imag[b] * cos[k * step];
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    };
+}
+
+// channels is an array of Float32Arrays (one per channel), like AudioBuffer.getChannelData() gives us
+// call setTime() to move to a point in the audio, then read it with the usual AnalyserNode getters
+function createOfflineAnalyser(channels, sampleRate, options = {}) {
+    let settings = Object.assign({}, DEFAULTS, options);
+    let fftSize = settings.fftSize;
+    let binCount = fftSize / 2;
+    let fft = createFFT(fftSize);
+
+    // the analyser always sees mono, mixed down the same way the "speakers" interpretation does
+    let length = channels[0].length;
+    let mono = new Float32Array(length);
+    for (let channel of channels) {
+        for (let i = 0; i < length; i++) mono[i] += channel[i] / channels.length;
+    }
+
+    let timeDomain = new Float32Array(fftSize);
+    let smoothed = new Float64Array(binCount);
+    let decibels = new Float32Array(binCount);
+    let real = new Float64Array(fftSize);
+    let imag = new Float64Array(fftSize);
+
+    let blackman = new Float64Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+        let x = i / fftSize;
+        blackman[i] = .42 - .5 * Math.cos(2 * Math.PI * x) + .08 * Math.cos(4 * Math.PI * x);
+    }
+
+    // works out the spectrum of the fftSize samples that end at time (in seconds)
+    // each call is one step of smoothing, just like one call to the live analyser
+    function setTime(time) {
+        let end = Math.round(time * sampleRate);
+        for (let i = 0; i < fftSize; i++) {
+            let index = end - fftSize + i;
+            timeDomain[i] = index >= 0 && index < length ? mono[index] : 0;
+            real[i] = timeDomain[i] * blackman[i];
+            imag[i] = 0;
+        }
+
+        fft(real, imag);
+
+        let smoothing = analyser.smoothingTimeConstant;
+        for (let k = 0; k < binCount; k++) {
+            let magnitude = Math.hypot(real[k], imag[k]) / fftSize;
+            smoothed[k] = smoothing * smoothed[k] + (1 - smoothing) * magnitude;
+            decibels[k] = smoothed[k] == 0 ? -Infinity : 20 * Math.log10(smoothed[k]);
+        }
+    }
+
+    function getFloatFrequencyData(array) {
+        let count = Math.min(array.length, binCount);
+        for (let k = 0; k < count; k++) array[k] = decibels[k];
+    }
+
+    function getByteFrequencyData(array) {
+        let count = Math.min(array.length, binCount);
+        let range = analyser.maxDecibels - analyser.minDecibels;
+        for (let k = 0; k < count; k++) {
+            let value = Math.floor(255 / range * (decibels[k] - analyser.minDecibels));
+            array[k] = Math.max(0, Math.min(255, value));
+        }
+    }
+
+    function getFloatTimeDomainData(array) {
+        let count = Math.min(array.length, fftSize);
+        for (let i = 0; i < count; i++) array[i] = timeDomain[i];
+    }
+
+    function getByteTimeDomainData(array) {
+        let count = Math.min(array.length, fftSize);
+        for (let i = 0; i < count; i++) {
+            array[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + timeDomain[i]))));
+        }
+    }
+
+    let analyser = {
+        fftSize,
+        frequencyBinCount: binCount,
+        smoothingTimeConstant: settings.smoothingTimeConstant,
+        minDecibels: settings.minDecibels,
+        maxDecibels: settings.maxDecibels,
+        // the renderer reads the sample rate from here, like it does on a real AnalyserNode
+        context: { sampleRate },
+        setTime,
+        getFloatFrequencyData,
+        getByteFrequencyData,
+        getFloatTimeDomainData,
+        getByteTimeDomainData
+    };
+    return analyser;
+}
+
+export { DEFAULTS, createFFT, createOfflineAnalyser };
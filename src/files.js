@@ -0,0 +1,102 @@
+/*
+    files.js handles the audio files that the user brings in from their own computer,
+    either by dropping them on the canvas or by picking them with the file input:
+      - it decides whether a file is something we can play (MP3, OGG, WAV or FLAC)
+      - it turns each supported File into an object URL that audio.loadSoundFile() can point at
+      - .lrc lyrics files that come along with a track (same name) are attached to it, see lyrics.js
+      - and so are .cues.json cue lists, see cues.js
+*/
+
+// here we are faking an enumeration - file extensions and the MIME types browsers report for them
+const SUPPORTED_TYPES = Object.freeze({
+    mp3: ["audio/mpeg", "audio/mp3"],
+    ogg: ["audio/ogg", "application/ogg", "audio/vorbis"],
+    wav: ["audio/wav", "audio/x-wav", "audio/wave", "audio/vnd.wave"],
+    flac: ["audio/flac", "audio/x-flac"]
+});
+
+const LYRICS_EXTENSION = "lrc";
+const CUES_SUFFIX = ".cues.json";
+
+function getExtension(fileName) {
+    let dot = fileName.lastIndexOf(".");
+    return dot == -1 ? "" : fileName.slice(dot + 1).toLowerCase();
+}
+
+function getBaseName(fileName) {
+    let dot = fileName.lastIndexOf(".");
+    return dot == -1 ? fileName : fileName.slice(0, dot);
+}
+
+function isSupportedAudioFile(file) {
+    let extension = getExtension(file.name);
+    if (SUPPORTED_TYPES[extension]) return true;
+
+    // some files come without an extension, so fall back on the MIME type
+    return Object.values(SUPPORTED_TYPES).some(types => types.includes(file.type));
+}
+
+function isLyricsFile(file) {
+    return getExtension(file.name) == LYRICS_EXTENSION;
+}
+
+function isCuesFile(file) {
+    return file.name.toLowerCase().endsWith(CUES_SUFFIX);
+}
+
+// "Song.cues.json" -> "Song"
+function getCuesBaseName(fileName) {
+    return fileName.slice(0, fileName.length - CUES_SUFFIX.length);
+}
+
+// sorts a FileList (or array of Files) into playable tracks, lyrics, cue lists and rejected files
+// each track gets an object URL - these stay alive for as long as the track is in the list
+// lyrics files with the same name as a track become its lyricsFile, the rest come back in lyrics
+// cue lists the same way - cuesFile, or back in cues
+function createTracks(fileList) {
+    let tracks = [];
+    let rejected = [];
+    let lyrics = [];
+    let cues = [];
+
+    for (let file of Array.from(fileList)) {
+        if (isLyricsFile(file)) {
+            lyrics.push(file);
+        }
+        else if (isCuesFile(file)) {
+            cues.push(file);
+        }
+        else if (isSupportedAudioFile(file)) {
+            tracks.push({
+                src: URL.createObjectURL(file),
+                title: getBaseName(file.name),
+                file: file
+            });
+        }
+        else {
+            rejected.push(file);
+        }
+    }
+
+    for (let track of tracks) {
+        let name = getBaseName(track.file.name).toLowerCase();
+        let match = lyrics.find(file => getBaseName(file.name).toLowerCase() == name);
+        if (match) {
+            track.lyricsFile = match;
+            lyrics.splice(lyrics.indexOf(match), 1);
+        }
+
+        let cuesMatch = cues.find(file => getCuesBaseName(file.name).toLowerCase() == name);
+        if (cuesMatch) {
+            track.cuesFile = cuesMatch;
+            cues.splice(cues.indexOf(cuesMatch), 1);
+        }
+    }
+
+    return { tracks, rejected, lyrics, cues };
+}
+
+export {
+    SUPPORTED_TYPES, LYRICS_EXTENSION, CUES_SUFFIX, getExtension, getBaseName, getCuesBaseName, isSupportedAudioFile,
+    isLyricsFile, isCuesFile, createTracks
+};
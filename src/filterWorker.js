@@ -0,0 +1,15 @@
+/*
+    filterWorker.js runs the image filter pipeline off the main thread - see createFilterStage() in filters.js
+    it gets { buffer, width, height, pipeline } and sends the filtered buffer straight back
+*/
+
+import { applyFilters } from './filters.js';
+
+let scratch;
+
+onmessage = e => {
+    let { buffer, width, height, pipeline } = e.data;
+    let image = { data: new Uint8ClampedArray(buffer), width, height };
+    scratch = applyFilters(image, pipeline, scratch);
+    postMessage({ buffer, width, height }, [buffer]);
+};
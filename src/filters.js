@@ -0,0 +1,351 @@
+/*
+    filters.js is the image filter pipeline that runs over the finished canvas every frame.
+
+      - every filter declares type, label, order, params and apply(data, source, width, height, params)
+        apply() reads the pixels in source and writes the filtered pixels into data (both RGBA)
+      - every filter has a "strength" param (0-1) that blends its result with what went in
+      - a filter that can flash the screen declares flashProne: true (see safety.js)
+      - the pipeline is a stack (see stack.js), so filters can be reordered and stacked
+      - nothing happens (not even getImageData) when no filter is on
+      - on screen the pipeline runs in a Web Worker (filterWorker.js) so the draw loop isn't held up -
+        a frame goes on screen when it comes back filtered - and offline renders run it right away so
+        every frame is exact, see createFilterStage()
+*/
+
+import { createStack } from './stack.js';
+import * as safety from './safety.js';
+
+const strengthParam = Object.freeze({ name: "strength", label: "Strength", type: "range", min: 0, max: 1, step: .05, default: 1 });
+
+// gives a value from a neighbouring pixel, clamped to the edges of the image
+const sample = (source, width, height, x, y, channel) => {
+    x = x < 0 ? 0 : x >= width ? width - 1 : x;
+    y = y < 0 ? 0 : y >= height ? height - 1 : y;
+    return source[(y * width + x) * 4 + channel];
+};
+
+const FILTER_TYPES = Object.freeze([
+    {
+        type: "invert",
+        label: "Invert",
+        order: 10,
+        flashProne: true,
+        params: [strengthParam],
+        apply: (data, source) => {
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = 255 - source[i];
+                data[i + 1] = 255 - source[i + 1];
+                data[i + 2] = 255 - source[i + 2];
+            }
+        }
+    },
+    {
+        // reference: https://www.phpied.com/pixel-manipulation-in-canvas/
+        type: "grayscale",
+        label: "Grayscale",
+        order: 20,
+        params: [strengthParam],
+        apply: (data, source) => {
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = data[i + 1] = data[i + 2] = .2126 * source[i] + .7152 * source[i + 1] + .0722 * source[i + 2];
+            }
+        }
+    },
+    {
+        type: "sepia",
+        label: "Sepia",
+        order: 30,
+        params: [strengthParam],
+        apply: (data, source) => {
+            for (let i = 0; i < data.length; i += 4) {
+                let sepia = 0.3 * source[i] + 0.59 * source[i + 1] + 0.11 * source[i + 2];
+                data[i] = sepia + 75;
+                data[i + 1] = sepia + 50;
+                data[i + 2] = sepia + 25;
+            }
+        }
+    },
+    {
+        // compares each pixel with the ones to its right and below it - at the edges of the image
+        // we use the edge pixel again instead of reading into the next row (or off the end)
+        type: "emboss",
+        label: "Emboss",
+        order: 40,
+        params: [strengthParam],
+        apply: (data, source, width, height) => {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let i = (y * width + x) * 4;
+                    for (let c = 0; c < 3; c++) {
+                        data[i + c] = 127 + 2 * source[i + c] - sample(source, width, height, x + 1, y, c) - sample(source, width, height, x, y + 1, c);
+                    }
+                }
+            }
+        }
+    },
+    {
+        // a box blur done as a horizontal pass and then a vertical pass, using running sums
+        type: "blur",
+        label: "Blur",
+        order: 50,
+        params: [strengthParam, { name: "radius", label: "Radius", type: "range", min: 1, max: 20, step: 1, default: 4 }],
+        apply: (data, source, width, height, params) => {
+            let radius = Math.round(params.radius);
+            let size = radius * 2 + 1;
+            let temp = new Float32Array(data.length);
+
+            for (let y = 0; y < height; y++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    for (let x = -radius; x <= radius; x++) sum += sample(source, width, height, x, y, c);
+                    for (let x = 0; x < width; x++) {
+                        temp[(y * width + x) * 4 + c] = sum / size;
+                        sum += sample(source, width, height, x + radius + 1, y, c) - sample(source, width, height, x - radius, y, c);
+                    }
+                }
+            }
+
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    for (let y = -radius; y <= radius; y++) sum += sample(temp, width, height, x, y, c);
+                    for (let y = 0; y < height; y++) {
+                        data[(y * width + x) * 4 + c] = sum / size;
+                        sum += sample(temp, width, height, x, y + radius + 1, c) - sample(temp, width, height, x, y - radius, c);
+                    }
+                }
+            }
+        }
+    },
+    {
+        type: "sharpen",
+        label: "Sharpen",
+        order: 60,
+        params: [strengthParam],
+        apply: (data, source, width, height) => {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let i = (y * width + x) * 4;
+                    for (let c = 0; c < 3; c++) {
+                        data[i + c] = 5 * source[i + c]
+                            - sample(source, width, height, x - 1, y, c) - sample(source, width, height, x + 1, y, c)
+                            - sample(source, width, height, x, y - 1, c) - sample(source, width, height, x, y + 1, c);
+                    }
+                }
+            }
+        }
+    },
+    {
+        // Sobel edge detection on the brightness of each pixel
+        type: "edgeDetect",
+        label: "Edge Detect",
+        order: 70,
+        params: [strengthParam],
+        apply: (data, source, width, height) => {
+            let luma = new Float32Array(width * height);
+            for (let p = 0; p < luma.length; p++) {
+                luma[p] = .2126 * source[p * 4] + .7152 * source[p * 4 + 1] + .0722 * source[p * 4 + 2];
+            }
+            let at = (x, y) => luma[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                    let gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+                    let i = (y * width + x) * 4;
+                    data[i] = data[i + 1] = data[i + 2] = Math.hypot(gx, gy);
+                }
+            }
+        }
+    },
+    {
+        type: "pixelate",
+        label: "Pixelate",
+        order: 80,
+        params: [strengthParam, { name: "size", label: "Block Size", type: "range", min: 2, max: 40, step: 1, default: 8 }],
+        apply: (data, source, width, height, params) => {
+            let size = Math.round(params.size);
+            for (let blockY = 0; blockY < height; blockY += size) {
+                for (let blockX = 0; blockX < width; blockX += size) {
+                    let endX = Math.min(width, blockX + size), endY = Math.min(height, blockY + size);
+                    let sums = [0, 0, 0], count = (endX - blockX) * (endY - blockY);
+
+                    for (let y = blockY; y < endY; y++) {
+                        for (let x = blockX; x < endX; x++) {
+                            let i = (y * width + x) * 4;
+                            sums[0] += source[i];
+                            sums[1] += source[i + 1];
+                            sums[2] += source[i + 2];
+                        }
+                    }
+                    for (let y = blockY; y < endY; y++) {
+                        for (let x = blockX; x < endX; x++) {
+                            let i = (y * width + x) * 4;
+                            data[i] = sums[0] / count;
+                            data[i + 1] = sums[1] / count;
+                            data[i + 2] = sums[2] / count;
+                        }
+                    }
+                }
+            }
+        }
+    },
+    {
+        type: "posterize",
+        label: "Posterize",
+        order: 90,
+        params: [strengthParam, { name: "levels", label: "Levels", type: "range", min: 2, max: 16, step: 1, default: 4 }],
+        apply: (data, source, width, height, params) => {
+            let step = 255 / (Math.round(params.levels) - 1);
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = Math.round(source[i] / step) * step;
+                data[i + 1] = Math.round(source[i + 1] / step) * step;
+                data[i + 2] = Math.round(source[i + 2] / step) * step;
+            }
+        }
+    },
+    {
+        // pulls the red channel one way and the blue channel the other
+        type: "rgbSplit",
+        label: "RGB Split",
+        order: 100,
+        params: [strengthParam, { name: "offset", label: "Offset", type: "range", min: 1, max: 30, step: 1, default: 6 }],
+        apply: (data, source, width, height, params) => {
+            let offset = Math.round(params.offset);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let i = (y * width + x) * 4;
+                    data[i] = sample(source, width, height, x - offset, y, 0);
+                    data[i + 2] = sample(source, width, height, x + offset, y, 2);
+                }
+            }
+        }
+    },
+    {
+        type: "scanlines",
+        label: "Scanlines",
+        order: 110,
+        params: [strengthParam, { name: "spacing", label: "Spacing", type: "range", min: 2, max: 10, step: 1, default: 3 }],
+        apply: (data, source, width, height, params) => {
+            let spacing = Math.round(params.spacing);
+            for (let y = 0; y < height; y += spacing) {
+                for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+                    data[i] = data[i + 1] = data[i + 2] = 0;
+                }
+            }
+        }
+    }
+]);
+
+const filterStack = createStack();
+FILTER_TYPES.forEach(filterStack.registerType);
+
+// the filters that are switched on, in a form that can be posted to the worker
+function getActivePipeline() {
+    return filterStack.serialize()
+        .filter(entry => entry.enabled && entry.params.strength > 0 && !safety.isBlocked(filterStack.getType(entry.type)));
+}
+
+// presets saved before the pipeline existed stored the four filters as checkboxes
+function loadPipeline(saved) {
+    if (!Array.isArray(saved)) {
+        let legacy = { showInvert: "invert", showEmboss: "emboss", showGrayscale: "grayscale", showSepia: "sepia" };
+        saved = Object.keys(legacy).filter(key => saved[key]).map(key => ({ type: legacy[key], enabled: true, params: {} }));
+    }
+    filterStack.load(saved);
+}
+
+// runs a pipeline over image = { data, width, height }, changing image.data
+// scratch is an optional Uint8ClampedArray to reuse between frames
+function applyFilters(image, pipeline, scratch) {
+    let { data, width, height } = image;
+    let source = scratch && scratch.length == data.length ? scratch : new Uint8ClampedArray(data.length);
+    let types = {};
+    FILTER_TYPES.forEach(filter => types[filter.type] = filter);
+
+    for (let entry of pipeline) {
+        let filter = types[entry.type];
+        if (!filter) continue;
+
+        // fill in any params a preset doesn't have
+        let params = {};
+        for (let param of filter.params) params[param.name] = param.name in entry.params ? entry.params[param.name] : param.default;
+        let strength = params.strength;
+        if (strength <= 0) continue;
+
+        source.set(data);
+        filter.apply(data, source, width, height, params);
+
+        // blend with what went in
+        if (strength < 1) {
+            for (let i = 0; i < data.length; i += 4) {
+                data[i] = source[i] + (data[i] - source[i]) * strength;
+                data[i + 1] = source[i + 1] + (data[i + 1] - source[i + 1]) * strength;
+                data[i + 2] = source[i + 2] + (data[i + 2] - source[i + 2]) * strength;
+            }
+        }
+    }
+
+    return source;
+}
+
+// A filter stage applies the active pipeline to a canvas once the layers are drawn.
+// Without a worker it happens right away, in place. With useWorker the filtering happens in
+// filterWorker.js: while usesWorker() says so, the renderer draws each frame off screen and hands
+// it over with onFiltered(imageData), which is called with the filtered pixels of that same frame
+// when they come back - a frame that comes along while the worker is busy is skipped.
+function createFilterStage(useWorker = false) {
+    let worker;
+    let busy = false;
+    let onDone;         // the onFiltered() of the frame the worker has
+    let scratch;
+
+    if (useWorker && typeof Worker != "undefined") {
+        try {
+            worker = new Worker(new URL("./filterWorker.js", import.meta.url), { type: "module" });
+            worker.onmessage = e => {
+                let callback = onDone;
+                busy = false;
+                onDone = undefined;
+                callback(new ImageData(new Uint8ClampedArray(e.data.buffer), e.data.width, e.data.height));
+            };
+            // module workers aren't everywhere - fall back on filtering right here (the frame it had is lost)
+            worker.onerror = e => {
+                worker.terminate();
+                worker = undefined;
+                busy = false;
+                onDone = undefined;
+            };
+        }
+        catch (e) {
+            worker = undefined;
+        }
+    }
+
+    // will process() give the frame to the worker?
+    function usesWorker() {
+        return Boolean(worker) && getActivePipeline().length > 0;
+    }
+
+    function process(ctx, width, height, onFiltered) {
+        let pipeline = getActivePipeline();
+        if (pipeline.length == 0) return;
+
+        if (!worker) {
+            let imageData = ctx.getImageData(0, 0, width, height);
+            scratch = applyFilters(imageData, pipeline, scratch);
+            ctx.putImageData(imageData, 0, 0);
+            return;
+        }
+
+        if (busy) return;
+        busy = true;
+        onDone = onFiltered;
+        let buffer = ctx.getImageData(0, 0, width, height).data.buffer;
+        worker.postMessage({ buffer, width, height, pipeline }, [buffer]);
+    }
+
+    return { usesWorker, process };
+}
+
+export { FILTER_TYPES, filterStack, getActivePipeline, loadPipeline, applyFilters, createFilterStage };
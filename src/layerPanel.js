@@ -0,0 +1,173 @@
+/*
+    layerPanel.js builds the controls for a stack (see stack.js) from the declarations of its types:
+      - one box per instance in the stack, top of the list = drawn/applied last (on top)
+      - each box has an on/off checkbox, up/down/remove buttons and a control for each param
+      - the "Add" picker stacks another instance of any registered type
+      - turning on a type that can flash asks first (see safety.confirmFlashProne())
+    it is used for both the visual layers and the image filters
+*/
+
+import * as safety from './safety.js';
+
+// noun is what the stack holds, e.g. "Layer" or "Filter" - it goes on the add button
+function setupLayerPanel(container, stack, noun = "Layer") {
+    let panel = { container, stack, noun };
+    stack.onChange(() => renderLayerPanel(panel));
+    renderLayerPanel(panel);
+}
+
+function renderLayerPanel(panel) {
+    panel.container.innerHTML = "";
+    panel.container.appendChild(createAddLayerControl(panel));
+
+    // show the top instance first, like the layers panel in an image editor
+    let instances = panel.stack.getInstances();
+    for (let i = instances.length - 1; i >= 0; i--) {
+        panel.container.appendChild(createLayerControls(panel, instances[i]));
+    }
+}
+
+function createAddLayerControl(panel) {
+    let div = document.createElement("div");
+    div.className = "addLayer";
+
+    let select = document.createElement("select");
+    for (let layer of panel.stack.getTypes()) {
+        let option = document.createElement("option");
+        option.value = layer.type;
+        option.text = layer.label;
+        select.appendChild(option);
+    }
+
+    let button = document.createElement("button");
+    button.innerHTML = `Add ${panel.noun}`;
+    button.onclick = e => {
+        if (safety.confirmFlashProne(panel.stack.getType(select.value))) panel.stack.add(select.value);
+    };
+
+    div.appendChild(select);
+    div.appendChild(button);
+    return div;
+}
+
+function createLayerControls(panel, instance) {
+    let stack = panel.stack;
+    let instances = stack.getInstances();
+    let layer = stack.getType(instance.type);
+    let fieldset = document.createElement("fieldset");
+    fieldset.className = "layer";
+
+    // number the instances when there is more than one of a type
+    let sameType = instances.filter(other => other.type == instance.type);
+    let title = sameType.length > 1 ? `${layer.label} ${sameType.indexOf(instance) + 1}` : layer.label;
+
+    let legend = document.createElement("legend");
+    let idPrefix = `${panel.noun.toLowerCase()}${instance.id}`;
+    let enabledCB = createInput("checkbox", `${idPrefix}CB`);
+    enabledCB.checked = instance.enabled;
+    enabledCB.onchange = e => {
+        if (e.target.checked && !safety.confirmFlashProne(layer)) {
+            e.target.checked = false;
+            return;
+        }
+        stack.setEnabled(instance.id, e.target.checked);
+    };
+    legend.appendChild(enabledCB);
+    legend.appendChild(createLabel(enabledCB.id, title));
+
+    let index = instances.indexOf(instance);
+    legend.appendChild(createButton("▲", "Move up", index == instances.length - 1, () => stack.move(instance.id, 1)));
+    legend.appendChild(createButton("▼", "Move down", index == 0, () => stack.move(instance.id, -1)));
+    legend.appendChild(createButton("✕", `Remove ${panel.noun.toLowerCase()}`, false, () => stack.remove(instance.id)));
+    fieldset.appendChild(legend);
+
+    for (let param of layer.params) {
+        fieldset.appendChild(createParamControl(stack, instance, param, idPrefix));
+    }
+
+    return fieldset;
+}
+
+// makes the control for one param, e.g. { name, label, type: "range", min, max, step, default }
+function createParamControl(stack, instance, param, idPrefix) {
+    let div = document.createElement("div");
+    let id = `${idPrefix}-${param.name}`;
+    let value = instance.params[param.name];
+    let input;
+
+    if (param.type == "select") {
+        input = document.createElement("select");
+        input.id = id;
+        for (let choice of param.options) {
+            let option = document.createElement("option");
+            option.value = choice.value;
+            option.text = choice.label;
+            input.appendChild(option);
+        }
+        input.value = value;
+    }
+    else {
+        input = createInput(param.type, id);
+        if (param.type == "checkbox") {
+            input.checked = value;
+        }
+        else {
+            if (param.type == "range") {
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+            }
+            input.value = value;
+        }
+    }
+
+    if (param.type == "checkbox") {
+        div.appendChild(input);
+        div.appendChild(createLabel(id, param.label));
+        input.onchange = e => stack.setParam(instance.id, param.name, e.target.checked);
+    }
+    else {
+        div.appendChild(createLabel(id, param.label));
+        div.appendChild(input);
+
+        let valueLabel;
+        if (param.type == "range") {
+            valueLabel = document.createElement("span");
+            valueLabel.className = "effectValue";
+            valueLabel.innerHTML = value;
+            div.appendChild(valueLabel);
+        }
+
+        input.oninput = e => {
+            stack.setParam(instance.id, param.name, e.target.value);
+            if (valueLabel) valueLabel.innerHTML = e.target.value;
+        };
+    }
+
+    return div;
+}
+
+function createInput(type, id) {
+    let input = document.createElement("input");
+    input.type = type;
+    input.id = id;
+    return input;
+}
+
+function createLabel(forId, text) {
+    let label = document.createElement("label");
+    label.htmlFor = forId;
+    label.textContent = text;
+    return label;
+}
+
+function createButton(text, title, disabled, onclick) {
+    let button = document.createElement("button");
+    button.innerHTML = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.onclick = onclick;
+    return button;
+}
+
+export { setupLayerPanel, renderLayerPanel };
@@ -0,0 +1,118 @@
+/*
+    layers.js is the registry of visual layers, and the stack of layers that gets drawn.
+
+      - every visual lives in its own module in layers/ and declares:
+          type, label, order (lower draws first), enabled (in the default stack?),
+          params (the controls it needs - the panel is built from these) and draw(frame, params, state)
+        and optionally createState() if it needs to remember something between frames,
+        and hitTest(frame, params, x, y, dragging) if it can be grabbed with the pointer (see hitTestLayers()),
+        and flashProne: true if it can flash the screen (see safety.js)
+      - the stack is an ordered list of layer instances: { id, type, enabled, params }
+        the same type can be stacked more than once, each instance has its own params
+      - the stack itself comes from stack.js, layerStack is handed to the layer panel
+      - layers don't count FFT bins themselves, they ask frame.analysis for bands (see analysis.js)
+*/
+
+import { createStack } from './stack.js';
+import * as safety from './safety.js';
+import * as gradient from './layers/gradient.js';
+import * as spectrogram from './layers/spectrogram.js';
+import * as barCircle from './layers/barCircle.js';
+import * as particles from './layers/particles.js';
+import * as bars from './layers/bars.js';
+import * as stereoSpectrum from './layers/stereoSpectrum.js';
+import * as waveform from './layers/waveform.js';
+import * as oscilloscope from './layers/oscilloscope.js';
+import * as circleWaveform from './layers/circleWaveform.js';
+import * as xyScope from './layers/xyScope.js';
+import * as progress from './layers/progress.js';
+import * as date from './layers/date.js';
+import * as trackInfo from './layers/trackInfo.js';
+import * as lyrics from './layers/lyrics.js';
+import * as pixels from './layers/pixels.js';
+import * as meter from './layers/meter.js';
+
+const layerStack = createStack();
+
+const registerLayer = layerStack.registerType;
+const getLayerTypes = layerStack.getTypes;
+const getLayerType = layerStack.getType;
+const createLayer = layerStack.createInstance;
+const getStack = layerStack.getInstances;
+const getLayer = layerStack.getInstance;
+const addLayer = layerStack.add;
+const removeLayer = layerStack.remove;
+const moveLayer = layerStack.move;
+const setLayerEnabled = layerStack.setEnabled;
+const setLayerParam = layerStack.setParam;
+const serializeStack = layerStack.serialize;
+const loadStack = layerStack.load;
+const onStackChange = layerStack.onChange;
+const onLayerEdit = layerStack.onEdit;
+
+// one of every registered layer, enabled or not according to its module
+// it comes in the same form as serializeStack(), ready for loadStack()
+function createDefaultStack() {
+    return getLayerTypes().map(layer => ({ type: layer.type, enabled: layer.enabled, params: {} }));
+}
+
+// draws every enabled layer, bottom to top
+// states is a Map of layer id -> whatever that layer's createState() made, owned by the caller
+function drawLayers(frame, states) {
+    let stack = getStack();
+    drawInstances(frame, states, stack);
+
+    // forget about layers that have been removed
+    if (states.size > stack.length) {
+        for (let id of states.keys()) {
+            if (!getLayer(id)) states.delete(id);
+        }
+    }
+}
+
+// draws a list of layer instances that doesn't have to be the stack - e.g. the scene that is fading
+// out while a cue fades in the next one (see canvas.startSceneFade())
+function drawInstances(frame, states, instances) {
+    for (let instance of instances) {
+        let layer = getLayerType(instance.type);
+        if (!instance.enabled || safety.isBlocked(layer)) continue;
+
+        if (!states.has(instance.id)) {
+            states.set(instance.id, layer.createState ? layer.createState() : {});
+        }
+
+        frame.ctx.save();
+        layer.draw(frame, instance.params, states.get(instance.id));
+        frame.ctx.restore();
+    }
+}
+
+// which layer is under the point x, y (canvas pixels) on the last frame that was drawn, top first
+// returns { id, value } where value is whatever the layer's hitTest() says, or undefined for none
+// grabbedId is the layer the pointer is dragging, only that one is asked
+function hitTestLayers(frame, x, y, grabbedId) {
+    let stack = getStack();
+
+    for (let i = stack.length - 1; i >= 0; i--) {
+        let instance = stack[i];
+        let layer = getLayerType(instance.type);
+        if (!instance.enabled || !layer.hitTest) continue;
+        if (grabbedId != undefined && instance.id != grabbedId) continue;
+
+        let value = layer.hitTest(frame, instance.params, x, y, grabbedId != undefined);
+        if (value != undefined) return { id: instance.id, value };
+    }
+}
+
+// register the built-in layers and start with the default stack
+[
+    gradient, spectrogram, barCircle, particles, bars, stereoSpectrum, waveform, oscilloscope, circleWaveform, xyScope, progress, date, trackInfo,
+    lyrics, pixels, meter
+].forEach(registerLayer);
+loadStack(createDefaultStack());
+
+export {
+    layerStack, registerLayer, getLayerTypes, getLayerType, createLayer, createDefaultStack, getStack, getLayer,
+    addLayer, removeLayer, moveLayer, setLayerEnabled, setLayerParam, serializeStack, loadStack,
+    onStackChange, onLayerEdit, drawLayers, drawInstances, hitTestLayers
+};
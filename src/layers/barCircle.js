@@ -0,0 +1,53 @@
+/*
+    barCircle.js - shows the audio bars in a rainbow circle around the center of the canvas
+*/
+
+const type = "barCircle";
+const label = "Bar Circle";
+const order = 20;
+const enabled = true;
+
+const params = Object.freeze([
+    { name: "bounce", label: "Bounce Effect", type: "checkbox", default: true },
+    { name: "radius", label: "Radius", type: "range", min: 20, max: 180, step: 1, default: 100 },
+    { name: "barHeight", label: "Bar Height", type: "range", min: 10, max: 200, step: 1, default: 75 },
+    { name: "bars", label: "Bars", type: "range", min: 16, max: 256, step: 1, default: 128 },
+    {
+        name: "frequencyScale", label: "Frequency Scale", type: "select", default: "linear", options: [
+            { value: "linear", label: "Linear" },
+            { value: "log", label: "Log" }
+        ]
+    }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, height, unit, colorRotation, palette } = frame;
+    let audioData = frame.analysis.getBands(params.bars, params.frequencyScale);
+    let numBars = audioData.length;
+    let radius = params.radius * unit;
+    let barHeight = params.barHeight * unit;
+    let theta = Math.PI * 2 / numBars;
+    let currentAngle = Math.PI + colorRotation;
+    let barWidth = 2 * Math.PI * radius / numBars;
+
+    // Show the bounce effect on the visualizer when a kick happens
+    if (params.bounce) {
+        radius = frame.getBounceRadius(radius);
+    }
+
+    // draw the bars
+    for (let i = 0; i < numBars; i++) {
+        let percent = audioData[i] / 256;
+        ctx.save();
+        let colorPercent = Math.abs(((currentAngle - Math.PI) / (Math.PI * 2)) + colorRotation);
+        ctx.fillStyle = palette.color(colorPercent);
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(currentAngle);
+        ctx.translate(0, radius);
+        ctx.fillRect(0, 0, barWidth, barHeight * percent);
+        ctx.restore();
+        currentAngle += theta;
+    }
+}
+
+export { type, label, order, enabled, params, draw };
@@ -0,0 +1,38 @@
+/*
+    bars.js - the classic row of frequency bars across the canvas
+*/
+
+const type = "bars";
+const label = "Bars";
+const order = 30;
+const enabled = false;
+
+const params = Object.freeze([
+    { name: "spacing", label: "Bar Spacing", type: "range", min: 0, max: 10, step: 1, default: 4 },
+    { name: "bars", label: "Bars", type: "range", min: 16, max: 256, step: 1, default: 128 },
+    {
+        name: "frequencyScale", label: "Frequency Scale", type: "select", default: "linear", options: [
+            { value: "linear", label: "Linear" },
+            { value: "log", label: "Log" }
+        ]
+    }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, unit, heightUnit, palette } = frame;
+    let audioData = frame.analysis.getBands(params.bars, params.frequencyScale);
+    let barSpacing = params.spacing * unit;
+    let margin = 5 * unit;
+    let screenWidthForBars = width - (audioData.length * barSpacing) - margin * 2;
+    let barWidth = screenWidthForBars / audioData.length;
+    let barHeight = 200 * heightUnit;
+
+    ctx.strokeStyle = 'rgba(0,0,0,0.50)';
+    // loop through the data and draw! each bar takes its color from along the palette
+    for (let i = 0; i < audioData.length; i++) {
+        ctx.fillStyle = palette.color(i / audioData.length, .5);
+        ctx.fillRect(margin + i * (barWidth + barSpacing), (256 - audioData[i]) * heightUnit, barWidth, barHeight);
+    }
+}
+
+export { type, label, order, enabled, params, draw };
@@ -0,0 +1,68 @@
+/*
+    circleWaveform.js - the spectrum drawn as a closed line going around the center of the canvas
+*/
+
+const type = "circleWaveform";
+const label = "Circle Waveform";
+const order = 50;
+const enabled = true;
+
+const params = Object.freeze([
+    { name: "bounce", label: "Bounce Effect", type: "checkbox", default: true },
+    { name: "radius", label: "Radius", type: "range", min: 20, max: 180, step: 1, default: 100 },
+    { name: "formHeight", label: "Wave Height", type: "range", min: 10, max: 200, step: 1, default: 75 },
+    { name: "lineWidth", label: "Line Width", type: "range", min: 1, max: 10, step: 1, default: 3 },
+    { name: "points", label: "Detail", type: "range", min: 16, max: 256, step: 1, default: 128 },
+    {
+        name: "frequencyScale", label: "Frequency Scale", type: "select", default: "linear", options: [
+            { value: "linear", label: "Linear" },
+            { value: "log", label: "Log" }
+        ]
+    }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, height, unit, colorRotation, palette } = frame;
+    let audioData = frame.analysis.getBands(params.points, params.frequencyScale);
+    let bufferLength = audioData.length;
+    let theta = Math.PI * 2 / bufferLength;
+    let currentAngle = -Math.PI / 2 + colorRotation;
+    let radius = params.radius * unit;
+    let formHeight = params.formHeight * unit;
+
+    if (params.bounce) {
+        radius = frame.getBounceRadius(radius);
+    }
+
+    ctx.strokeStyle = palette.stroke;
+    ctx.lineWidth = params.lineWidth * unit;
+    ctx.beginPath();
+
+    let newX, newY;
+    function calculateWave(index) {
+        let v = audioData[index] / 256;
+        let y = v * formHeight + radius;
+
+        newX = (y * Math.cos(currentAngle));
+        newY = (y * Math.sin(currentAngle));
+    }
+
+    ctx.translate(width / 2, height / 2);
+    // going out
+    for (let i = 0; i < bufferLength; i++) {
+        calculateWave(i);
+        if (i === 0) {
+            ctx.moveTo(newX, newY);
+        } else {
+            ctx.lineTo(newX, newY);
+        }
+
+        currentAngle += theta;
+    }
+
+    calculateWave(0);
+    ctx.lineTo(newX, newY);
+    ctx.stroke();
+}
+
+export { type, label, order, enabled, params, draw };
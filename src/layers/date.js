@@ -0,0 +1,36 @@
+/*
+    date.js - the date and time in the center of the canvas
+*/
+
+import * as utils from '../utils.js';
+
+const type = "date";
+const label = "Date";
+const order = 70;
+const enabled = true;
+
+const params = Object.freeze([
+    { name: "fontSize", label: "Font Size", type: "range", min: 10, max: 80, step: 1, default: 30 },
+    { name: "showTime", label: "Show Time", type: "checkbox", default: true }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, height, unit, colorRotation, now, palette } = frame;
+    let fontSize = params.fontSize * unit;
+    let spacing = fontSize / 2;
+
+    ctx.font = `${fontSize}px 'Bebas Neue', cursive`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = palette.color(colorRotation / 2);
+
+    if (params.showTime) {
+        ctx.fillText(utils.getDate(now), width / 2, (height / 2) - spacing);
+        ctx.fillText(utils.getTime(now), width / 2, (height / 2) + spacing);
+    }
+    else {
+        ctx.fillText(utils.getDate(now), width / 2, height / 2);
+    }
+}
+
+export { type, label, order, enabled, params, draw };
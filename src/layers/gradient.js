@@ -0,0 +1,42 @@
+/*
+    gradient.js - fills the canvas with a top to bottom gradient of the palette colors
+*/
+
+import * as utils from '../utils.js';
+
+const type = "gradient";
+const label = "Gradient";
+const order = 10;
+const enabled = false;
+
+const params = Object.freeze([
+    { name: "opacity", label: "Opacity", type: "range", min: 0, max: 1, step: .05, default: 1 }
+]);
+
+function createState() {
+    return { gradient: undefined, height: 0, colors: "" };
+}
+
+function draw(frame, params, state) {
+    let { ctx, width, height, palette } = frame;
+
+    // one stop for each palette color, and back to the first one at the bottom
+    let colorStops = [];
+    for (let i = 0; i <= palette.stopCount; i++) {
+        colorStops.push({ percent: i / palette.stopCount, color: palette.color(i / palette.stopCount) });
+    }
+    let colors = colorStops.map(stop => stop.color).join();
+
+    // the gradient only needs to be rebuilt when the canvas changes size or the palette changes
+    if (!state.gradient || state.height != height || state.colors != colors) {
+        state.gradient = utils.getLinearGradient(ctx, 0, 0, 0, height, colorStops);
+        state.height = height;
+        state.colors = colors;
+    }
+
+    ctx.fillStyle = state.gradient;
+    ctx.globalAlpha = params.opacity;
+    ctx.fillRect(0, 0, width, height);
+}
+
+export { type, label, order, enabled, params, createState, draw };
@@ -0,0 +1,85 @@
+/*
+    lyrics.js - karaoke style lyrics from the track's LRC file (see ../lyrics.js)
+      - the line being sung in the palette color, with the next line under it
+      - for enhanced LRC files the words light up one by one as they are sung
+*/
+
+import * as lrc from '../lyrics.js';
+
+const type = "lyrics";
+const label = "Lyrics";
+const order = 77;
+const enabled = true;
+
+const params = Object.freeze([
+    { name: "fontSize", label: "Font Size", type: "range", min: 10, max: 60, step: 1, default: 28 },
+    { name: "position", label: "Position", type: "range", min: 0, max: 400, step: 1, default: 330 },
+    { name: "showNext", label: "Show Next Line", type: "checkbox", default: true },
+    // for LRC files that are out of sync - a positive offset shows the lyrics sooner
+    { name: "offset", label: "Sync Offset (s)", type: "range", min: -5, max: 5, step: .1, default: 0 }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, unit, heightUnit, track, currentTime, palette } = frame;
+
+    // nothing to show without a track that has lyrics
+    if (!track || !track.lyrics) return;
+
+    let { line, next, wordIndex, wordProgress } = lrc.getLyricsAt(track.lyrics, currentTime + params.offset);
+    let fontSize = params.fontSize * unit;
+    let y = params.position * heightUnit;
+    let highlight = palette.color(frame.colorRotation / 2);
+
+    ctx.textBaseline = "middle";
+    ctx.shadowColor = "black";
+    ctx.shadowBlur = 4 * unit;
+
+    if (line && line.text) {
+        ctx.font = `${fontSize}px 'Bebas Neue', cursive`;
+
+        if (line.words) {
+            drawWords(ctx, line.words, wordIndex, wordProgress, width / 2, y, fontSize, highlight, palette.stroke);
+        }
+        else {
+            ctx.textAlign = "center";
+            ctx.fillStyle = highlight;
+            ctx.fillText(line.text, width / 2, y, width * .9);
+        }
+    }
+
+    if (params.showNext && next && next.text) {
+        ctx.font = `${fontSize * .7}px 'Bebas Neue', cursive`;
+        ctx.textAlign = "center";
+        ctx.fillStyle = palette.stroke;
+        ctx.globalAlpha = .6;
+        ctx.fillText(next.text, width / 2, y + fontSize * 1.1, width * .9);
+    }
+}
+
+// the words that have been sung are in the highlight color, the one being sung fills up
+// with it from left to right and the rest are in the stroke color
+function drawWords(ctx, words, wordIndex, wordProgress, centerX, y, fontSize, highlight, stroke) {
+    let widths = words.map(word => ctx.measureText(word.text).width);
+    let x = centerX - widths.reduce((total, wordWidth) => total + wordWidth, 0) / 2;
+
+    ctx.textAlign = "left";
+
+    words.forEach((word, i) => {
+        ctx.fillStyle = i < wordIndex ? highlight : stroke;
+        ctx.fillText(word.text, x, y);
+
+        if (i == wordIndex) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(x, y - fontSize, widths[i] * wordProgress, fontSize * 2);
+            ctx.clip();
+            ctx.fillStyle = highlight;
+            ctx.fillText(word.text, x, y);
+            ctx.restore();
+        }
+
+        x += widths[i];
+    });
+}
+
+export { type, label, order, enabled, params, draw };
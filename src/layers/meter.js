@@ -0,0 +1,127 @@
+/*
+    meter.js - a level meter in a corner of the canvas, for checking the mix:
+      - a bar per channel for the RMS level, with a line for the peak that holds for a moment
+      - momentary, short-term and integrated loudness in LUFS (see metering.js)
+      - how far the compressor is turning things down, as a bar hanging from the top
+    it only has something to show when the renderer has meter analysers (the live canvas does)
+*/
+
+const type = "meter";
+const label = "Loudness Meter";
+const order = 90;
+const enabled = false;
+
+// the meter panel in pixels of the 800x400 design
+const PANEL_WIDTH = 150;
+const PANEL_HEIGHT = 150;
+const MARGIN = 10;
+// how long the peak line stays up, in seconds, before it falls back to the current peak
+const PEAK_HOLD = 1.5;
+// where the bars turn yellow and red, in dBFS
+const WARNING_LEVEL = -9;
+const CLIP_LEVEL = -1;
+
+const params = Object.freeze([
+    {
+        name: "corner", label: "Corner", type: "select", default: "topRight", options: [
+            { value: "topRight", label: "Top Right" },
+            { value: "topLeft", label: "Top Left" },
+            { value: "bottomRight", label: "Bottom Right" },
+            { value: "bottomLeft", label: "Bottom Left" }
+        ]
+    },
+    { name: "floor", label: "Bottom of Scale (dB)", type: "range", min: -90, max: -20, step: 5, default: -60 },
+    { name: "opacity", label: "Opacity", type: "range", min: .2, max: 1, step: .05, default: .85 }
+]);
+
+function createState() {
+    return { heldPeaks: [], heldTimes: [] };
+}
+
+function draw(frame, params, state) {
+    let { ctx, width, height, unit, loudness, time, palette } = frame;
+    if (!loudness) return;
+
+    let panelWidth = PANEL_WIDTH * unit;
+    let panelHeight = PANEL_HEIGHT * unit;
+    let margin = MARGIN * unit;
+    let left = params.corner.endsWith("Left") ? margin : width - panelWidth - margin;
+    let top = params.corner.startsWith("top") ? margin : height - panelHeight - margin;
+
+    ctx.globalAlpha = params.opacity;
+    ctx.fillStyle = "rgba(0, 0, 0, .6)";
+    ctx.fillRect(left, top, panelWidth, panelHeight);
+
+    // dBFS -> 0 (the floor) to 1 (0 dBFS)
+    let toLevel = db => Math.max(0, Math.min(1, (db - params.floor) / -params.floor));
+
+    // the channel bars, down the left of the panel
+    let barTop = top + 8 * unit;
+    let barHeight = panelHeight - 16 * unit;
+    let barWidth = 14 * unit;
+    loudness.rms.forEach((rms, i) => {
+        let x = left + 8 * unit + i * (barWidth + 4 * unit);
+        holdPeak(state, i, loudness.peak[i], time);
+
+        ctx.fillStyle = "#222";
+        ctx.fillRect(x, barTop, barWidth, barHeight);
+
+        let level = toLevel(rms);
+        ctx.fillStyle = getLevelColor(rms);
+        ctx.fillRect(x, barTop + barHeight * (1 - level), barWidth, barHeight * level);
+
+        let peakY = barTop + barHeight * (1 - toLevel(state.heldPeaks[i]));
+        ctx.fillStyle = getLevelColor(state.heldPeaks[i]);
+        ctx.fillRect(x, peakY - unit, barWidth, 2 * unit);
+    });
+
+    // the compressor's gain reduction, hanging down from the top (the scale is 0 to -20 dB)
+    let reductionX = left + 8 * unit + 2 * (barWidth + 4 * unit);
+    let reduction = Math.max(0, Math.min(1, -loudness.reduction / 20));
+    ctx.fillStyle = "#222";
+    ctx.fillRect(reductionX, barTop, barWidth / 2, barHeight);
+    ctx.fillStyle = palette.color(0);
+    ctx.fillRect(reductionX, barTop, barWidth / 2, barHeight * reduction);
+
+    // the numbers, down the right of the panel
+    let textX = reductionX + barWidth;
+    let fontSize = 12 * unit;
+    ctx.font = `${fontSize}px monospace`;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    let lines = [
+        ["M", formatLevel(loudness.momentary)],
+        ["S", formatLevel(loudness.shortTerm)],
+        ["I", formatLevel(loudness.integrated)],
+        ["LUFS", ""],
+        ["Peak", formatLevel(Math.max(...state.heldPeaks))],
+        ["GR", loudness.reduction < -.05 ? loudness.reduction.toFixed(1) : "0.0"]
+    ];
+    lines.forEach(([name, value], i) => {
+        let y = barTop + i * fontSize * 1.6;
+        ctx.fillStyle = palette.stroke;
+        ctx.fillText(name, textX, y);
+        ctx.fillText(value, textX + fontSize * 2.2, y);
+    });
+}
+
+// the peak line jumps up right away, and falls back once it has been held for PEAK_HOLD seconds
+function holdPeak(state, channel, peak, time) {
+    let held = state.heldPeaks[channel];
+    if (held == undefined || peak >= held || time - state.heldTimes[channel] > PEAK_HOLD || time < state.heldTimes[channel]) {
+        state.heldPeaks[channel] = peak;
+        state.heldTimes[channel] = time;
+    }
+}
+
+function getLevelColor(db) {
+    if (db >= CLIP_LEVEL) return "#ff3b30";
+    if (db >= WARNING_LEVEL) return "#ffcc00";
+    return "#4cd964";
+}
+
+function formatLevel(db) {
+    return isFinite(db) ? db.toFixed(1) : "-inf";
+}
+
+export { type, label, order, enabled, params, createState, draw };
@@ -0,0 +1,73 @@
+/*
+    oscilloscope.js - the real waveform (time domain), like on a scope
+      - "stabilize" starts the trace at the same point of the wave every frame (a rising zero
+        crossing), so a steady tone stands still instead of jittering back and forth
+      - channel picks the mix of both channels or just the left/right one
+*/
+
+const type = "oscilloscope";
+const label = "Oscilloscope";
+const order = 45;
+const enabled = false;
+
+// the wave has to dip this far below zero before a rising crossing counts,
+// so a little noise around zero doesn't set the trigger off
+const TRIGGER_HYSTERESIS = .02;
+
+const params = Object.freeze([
+    {
+        name: "channel", label: "Channel", type: "select", default: "mix", options: [
+            { value: "mix", label: "Mix" },
+            { value: "left", label: "Left" },
+            { value: "right", label: "Right" }
+        ]
+    },
+    { name: "stabilize", label: "Stabilize", type: "checkbox", default: true },
+    { name: "gain", label: "Gain", type: "range", min: .5, max: 5, step: .1, default: 1 },
+    { name: "height", label: "Height", type: "range", min: 20, max: 200, step: 5, default: 100 },
+    { name: "position", label: "Height Position", type: "range", min: 0, max: 400, step: 5, default: 200 },
+    { name: "lineWidth", label: "Line Width", type: "range", min: 1, max: 10, step: 1, default: 2 }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, unit, heightUnit, palette } = frame;
+    let data = getChannelData(frame, params.channel);
+
+    // we draw half of the buffer, so there is room to slide the start along to the trigger
+    let windowLength = Math.floor(data.length / 2);
+    let start = params.stabilize ? findTrigger(data, windowLength) : 0;
+    let centerY = params.position * heightUnit;
+    let amplitude = params.height * heightUnit * params.gain;
+    let step = width / (windowLength - 1);
+
+    ctx.strokeStyle = palette.stroke;
+    ctx.lineWidth = params.lineWidth * unit;
+    ctx.lineJoin = "round";
+
+    ctx.beginPath();
+    for (let i = 0; i < windowLength; i++) {
+        let y = centerY - data[start + i] * amplitude;
+        if (i == 0) ctx.moveTo(0, y);
+        else ctx.lineTo(i * step, y);
+    }
+    ctx.stroke();
+}
+
+// the mix comes from the main analyser, left/right from the channel analysers (if there are any)
+function getChannelData(frame, channel) {
+    let index = channel == "left" ? 0 : channel == "right" ? 1 : -1;
+    return frame.channels[index] ? frame.channels[index].timeData : frame.timeData;
+}
+
+// the first rising zero crossing that leaves a full window after it - 0 if there isn't one
+// (silence, noise), then the scope just free runs
+function findTrigger(data, windowLength) {
+    let armed = false;
+    for (let i = 0; i < data.length - windowLength; i++) {
+        if (data[i] < -TRIGGER_HYSTERESIS) armed = true;
+        else if (armed && data[i] >= 0) return i;
+    }
+    return 0;
+}
+
+export { type, label, order, enabled, params, draw };
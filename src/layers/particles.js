@@ -0,0 +1,205 @@
+/*
+    particles.js - particles that move with the music:
+      - every kick fires a burst, and the louder it is the more particles keep coming
+      - their speed follows the bass, their size the mids and their color the treble
+      - four behaviours: fountain, starfield, orbit (around the bar circle, bounce and all) and smoke
+      - there is a cap on how many can be alive, and dead particles go back into a pool to be
+        used again, so there is no garbage to collect in the middle of a song
+      - positions are in pixels of the 800x400 design, measured from the center of the canvas
+      - the random numbers are seeded, so an offline render looks the same every time
+*/
+
+import * as utils from '../utils.js';
+
+const type = "particles";
+const label = "Particles";
+const order = 25;
+const enabled = false;
+
+// how many particles a second each behaviour lets out at full volume (on top of the bursts)
+// the rest of the numbers in the behaviours are in design pixels and seconds
+const BEHAVIOURS = Object.freeze({
+    fountain: {
+        rate: 120,
+        spawn: (p, random, env) => {
+            p.x = (random() - .5) * 40;
+            p.y = 200;
+            p.vx = (random() - .5) * 160;
+            p.vy = -(250 + random() * 200);
+            p.life = 1.5 + random();
+        },
+        update: (p, dt, env) => {
+            p.vy += 300 * dt;   // gravity
+            p.x += p.vx * dt * env.speed;
+            p.y += p.vy * dt * env.speed;
+        }
+    },
+    starfield: {
+        rate: 200,
+        spawn: (p, random, env) => {
+            let angle = random() * Math.PI * 2;
+            let distance = random() * 20;
+            p.x = Math.cos(angle) * distance;
+            p.y = Math.sin(angle) * distance;
+            p.vx = Math.cos(angle) * 40;
+            p.vy = Math.sin(angle) * 40;
+            p.life = 3;
+        },
+        update: (p, dt, env) => {
+            // they speed up as they come closer, like we are flying through them
+            let boost = 1 + 2.5 * dt;
+            p.vx *= boost;
+            p.vy *= boost;
+            p.x += p.vx * dt * env.speed;
+            p.y += p.vy * dt * env.speed;
+            p.grow = Math.min(3, Math.hypot(p.x, p.y) / 100);
+        }
+    },
+    orbit: {
+        rate: 80,
+        spawn: (p, random, env) => {
+            p.angle = random() * Math.PI * 2;
+            p.distance = env.orbitRadius + (random() - .5) * 20;
+            p.spin = (.5 + random()) * (random() < .5 ? -1 : 1);
+            p.vx = 0;
+            p.vy = 0;
+            p.life = 2 + random() * 2;
+        },
+        update: (p, dt, env) => {
+            p.angle += p.spin * dt * env.speed;
+            // drift out on each kick, and slowly back in to the circle
+            p.distance += (env.orbitRadius - p.distance) * Math.min(1, dt * 2) + env.kick * 60 * dt;
+            p.x = Math.cos(p.angle) * p.distance;
+            p.y = Math.sin(p.angle) * p.distance;
+        }
+    },
+    smoke: {
+        rate: 40,
+        spawn: (p, random, env) => {
+            p.x = (random() - .5) * 120;
+            p.y = 60 + random() * 40;
+            p.vx = (random() - .5) * 30;
+            p.vy = -(20 + random() * 30);
+            p.life = 4 + random() * 2;
+        },
+        update: (p, dt, env) => {
+            p.x += p.vx * dt * env.speed;
+            p.y += p.vy * dt * env.speed;
+            // smoke spreads out as it rises
+            p.grow = 1 + 4 * (1 - p.remaining / p.life);
+        }
+    }
+});
+
+const params = Object.freeze([
+    {
+        name: "behaviour", label: "Behaviour", type: "select", default: "fountain", options: [
+            { value: "fountain", label: "Fountain" },
+            { value: "starfield", label: "Starfield" },
+            { value: "orbit", label: "Orbit" },
+            { value: "smoke", label: "Smoke" }
+        ]
+    },
+    { name: "maxParticles", label: "Max Particles", type: "range", min: 100, max: 3000, step: 100, default: 1000 },
+    { name: "burst", label: "Burst on Kick", type: "range", min: 0, max: 200, step: 5, default: 40 },
+    { name: "size", label: "Size", type: "range", min: 1, max: 10, step: .5, default: 3 },
+    { name: "speed", label: "Speed", type: "range", min: .2, max: 3, step: .1, default: 1 },
+    // only used when there is no bar circle to go around
+    { name: "orbitRadius", label: "Orbit Radius (with no Bar Circle)", type: "range", min: 20, max: 180, step: 1, default: 100 }
+]);
+
+function createState() {
+    return {
+        pool: [],           // every particle ever made - the first "count" of them are alive
+        count: 0,
+        random: utils.createSeededRandom(1),
+        behaviour: undefined,
+        lastTime: undefined,
+        emitted: 0          // the fraction of a particle left over from last frame's emission
+    };
+}
+
+function draw(frame, params, state) {
+    let { ctx, width, height, unit, time, analysis, beatDetector, palette } = frame;
+    let behaviour = BEHAVIOURS[params.behaviour];
+
+    // start over when the behaviour changes, or when time goes backwards (a new render)
+    if (state.behaviour != params.behaviour || (state.lastTime != undefined && time < state.lastTime)) {
+        state.count = 0;
+        state.random = utils.createSeededRandom(1);
+        state.emitted = 0;
+        state.behaviour = params.behaviour;
+        state.lastTime = undefined;
+    }
+
+    // a long pause (a background tab) shouldn't fire everything off at once
+    let dt = state.lastTime == undefined ? 0 : Math.min(.1, time - state.lastTime);
+    state.lastTime = time;
+
+    let bass = analysis.getEnergy("bass").level;
+    let mid = analysis.getEnergy("mid").level;
+    let treble = analysis.getEnergy("treble").level;
+    let env = {
+        speed: params.speed * (.5 + bass * 1.5),
+        kick: beatDetector.getPulse("kick"),
+        orbitRadius: frame.barCircleRadius != undefined ? frame.barCircleRadius : params.orbitRadius
+    };
+
+    // let out new ones - a burst on the kick, and a steady stream that follows the volume
+    let count = behaviour.rate * dt * Math.max(bass, mid);
+    if (beatDetector.isBeat("kick")) count += params.burst;
+    state.emitted += count;
+    while (state.emitted >= 1) {
+        spawn(state, behaviour, params.maxParticles, env);
+        state.emitted--;
+    }
+
+    // move them along, and put the dead ones back in the pool
+    for (let i = 0; i < state.count; i++) {
+        let p = state.pool[i];
+        p.remaining -= dt;
+        if (p.remaining <= 0) {
+            release(state, i);
+            i--;
+            continue;
+        }
+        behaviour.update(p, dt, env);
+    }
+
+    // draw them
+    let size = params.size * (.6 + mid) * unit;
+    ctx.translate(width / 2, height / 2);
+    for (let i = 0; i < state.count; i++) {
+        let p = state.pool[i];
+        let fade = Math.min(1, p.remaining / p.life * 2);
+        ctx.globalAlpha = params.behaviour == "smoke" ? fade * .15 : fade;
+        ctx.fillStyle = palette.color(p.color + treble * .5);
+        ctx.beginPath();
+        ctx.arc(p.x * unit, p.y * unit, size * p.grow, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+// takes a particle from the pool (or makes one, while we are under the cap)
+function spawn(state, behaviour, maxParticles, env) {
+    if (state.count >= maxParticles) return;
+
+    if (state.count == state.pool.length) state.pool.push({});
+    let p = state.pool[state.count++];
+
+    p.grow = 1;
+    p.color = state.random();
+    behaviour.spawn(p, state.random, env);
+    p.remaining = p.life;
+}
+
+// swaps the dead particle with the last living one, so the living ones stay at the front
+function release(state, index) {
+    let last = state.count - 1;
+    let dead = state.pool[index];
+    state.pool[index] = state.pool[last];
+    state.pool[last] = dead;
+    state.count--;
+}
+
+export { type, label, order, enabled, params, createState, draw };
@@ -0,0 +1,50 @@
+/*
+    pixels.js - "invert bars": inverts the pixels under the waveform, slice by slice
+    the slices jump with the music, so it can flash (see safety.js)
+*/
+
+const type = "pixels";
+const label = "Invert Bars";
+const order = 80;
+const enabled = true;
+const flashProne = true;
+
+// what "Slices" starts at, and the number of bins there used to be
+const DEFAULT_SLICES = 128;
+
+const params = Object.freeze([
+    { name: "position", label: "Height Position", type: "range", min: 0, max: 800, step: 5, default: 600 },
+    { name: "slices", label: "Slices", type: "range", min: 16, max: 256, step: 1, default: DEFAULT_SLICES }
+]);
+
+function draw(frame, params) {
+    let { ctx, height, heightUnit } = frame;
+    let audioData = frame.analysis.getBands(params.slices);
+    let bufferLength = audioData.length;
+    // position is in pixels of the 800x400 design
+    let waveformHeight = params.position * heightUnit;
+    let sliceWidth = frame.width / bufferLength;
+    let x = 0;
+
+    for (let i = 0; i < bufferLength; i++) {
+        // divided by the old bin count, so the height doesn't change with the number of slices
+        let v = audioData[i] / DEFAULT_SLICES;
+        let y = v * (waveformHeight / 2) / 2;
+
+        let sliceImage = ctx.getImageData(x, (waveformHeight / 2) - y, sliceWidth, height - ((waveformHeight / 2) - y));
+        let sliceData = sliceImage.data;
+
+        for (let j = 0; j < sliceData.length; j += 4) {
+            let red = sliceData[j], green = sliceData[j + 1], blue = sliceData[j + 2];
+            sliceData[j] = 255 - red;
+            sliceData[j + 1] = 255 - green;
+            sliceData[j + 2] = 255 - blue;
+        }
+
+        ctx.putImageData(sliceImage, x, (5 * heightUnit + (waveformHeight / 2) - y));
+
+        x += sliceWidth;
+    }
+}
+
+export { type, label, order, enabled, flashProne, params, draw };
@@ -0,0 +1,49 @@
+/*
+    progress.js - an arc around the center that fills up as the track plays
+    it can be dragged around to seek, see hitTest()
+*/
+
+const type = "progress";
+const label = "Progress Bar";
+const order = 60;
+const enabled = true;
+
+const params = Object.freeze([
+    { name: "radius", label: "Radius", type: "range", min: 20, max: 180, step: 1, default: 75 },
+    { name: "lineWidth", label: "Line Width", type: "range", min: 1, max: 10, step: 1, default: 3 }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, height, unit, colorRotation, currentTime, duration, palette } = frame;
+
+    // a live input has no duration, so there is no progress to show
+    if (!isFinite(duration) || duration <= 0) return;
+
+    ctx.strokeStyle = palette.stroke;
+    ctx.lineWidth = params.lineWidth * unit;
+
+    ctx.beginPath();
+    ctx.translate(width / 2, height / 2);
+    let angle = Math.PI * 2 * (currentTime / duration);
+    ctx.arc(0, 0, params.radius * unit, 0 + colorRotation - (Math.PI / 2), angle + colorRotation - (Math.PI / 2), false);
+    ctx.stroke();
+}
+
+// dragging the arc seeks - this says how far around the ring (0-1, from the start of the arc)
+// the point x, y is, or undefined if it isn't on the ring
+// once the ring has been grabbed (dragging) the point doesn't have to stay on it
+function hitTest(frame, params, x, y, dragging) {
+    let { width, height, unit, colorRotation, duration } = frame;
+    if (!isFinite(duration) || duration <= 0) return;
+
+    let dx = x - width / 2;
+    let dy = y - height / 2;
+    // a bit wider than the line, so it is easy to grab
+    let reach = Math.max(params.lineWidth * unit, 12 * unit);
+    if (!dragging && Math.abs(Math.hypot(dx, dy) - params.radius * unit) > reach) return;
+
+    let angle = Math.atan2(dy, dx) - (colorRotation - Math.PI / 2);
+    return ((angle / (Math.PI * 2)) % 1 + 1) % 1;
+}
+
+export { type, label, order, enabled, params, draw, hitTest };
@@ -0,0 +1,203 @@
+/*
+    spectrogram.js - a scrolling picture of the spectrum over time (a "waterfall"):
+      - time runs from right (now) to left, frequency from bottom (low) to top (high)
+      - the frequencies can be spread out on a log or mel scale (how we hear pitch), or linear
+      - loudness is drawn with a color map, or with the palette
+      - the picture is kept on a canvas of its own in the layer state, each frame it slides
+        left and the newest spectrum is painted in at the right edge
+*/
+
+const type = "spectrogram";
+const label = "Spectrogram";
+const order = 15;
+const enabled = false;
+
+// the lowest frequency we show - there's nothing much to hear below this
+const MIN_FREQUENCY = 20;
+// the frequencies that get a label on the axis
+const FREQUENCY_LABELS = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+
+const SCALES = Object.freeze({
+    log: {
+        toScale: frequency => Math.log10(frequency),
+        fromScale: value => Math.pow(10, value)
+    },
+    mel: {
+        toScale: frequency => 2595 * Math.log10(1 + frequency / 700),
+        fromScale: value => 700 * (Math.pow(10, value / 2595) - 1)
+    },
+    linear: {
+        toScale: frequency => frequency,
+        fromScale: value => value
+    }
+});
+
+// quiet to loud - these are turned into 256 entry lookup tables below
+const COLOR_MAPS = Object.freeze({
+    magma: ["#000004", "#3b0f70", "#8c2981", "#de4968", "#fe9f6d", "#fcfdbf"],
+    viridis: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+    fire: ["#000000", "#800000", "#ff4000", "#ffc000", "#ffffff"],
+    grayscale: ["#000000", "#ffffff"]
+});
+
+const colorTables = {};
+for (let name in COLOR_MAPS) {
+    colorTables[name] = createColorTable(COLOR_MAPS[name]);
+}
+
+const params = Object.freeze([
+    {
+        name: "scale", label: "Frequency Scale", type: "select", default: "log", options: [
+            { value: "log", label: "Log" },
+            { value: "mel", label: "Mel" },
+            { value: "linear", label: "Linear" }
+        ]
+    },
+    {
+        name: "colorMap", label: "Colors", type: "select", default: "magma", options: [
+            { value: "magma", label: "Magma" },
+            { value: "viridis", label: "Viridis" },
+            { value: "fire", label: "Fire" },
+            { value: "grayscale", label: "Grayscale" },
+            { value: "palette", label: "Palette" }
+        ]
+    },
+    { name: "speed", label: "Speed (px/s)", type: "range", min: 10, max: 400, step: 10, default: 100 },
+    { name: "top", label: "Top", type: "range", min: 0, max: 350, step: 5, default: 0 },
+    { name: "height", label: "Height", type: "range", min: 50, max: 400, step: 5, default: 400 },
+    { name: "opacity", label: "Opacity", type: "range", min: 0, max: 1, step: .05, default: 1 },
+    { name: "showAxes", label: "Show Axes", type: "checkbox", default: false }
+]);
+
+function createState() {
+    return { canvas: undefined, ctx: undefined, column: undefined, lastTime: undefined, leftover: 0 };
+}
+
+function draw(frame, params, state) {
+    let { ctx, width, unit, heightUnit, audioData, sampleRate, fftSize, time } = frame;
+    let top = Math.round(params.top * heightUnit);
+    let height = Math.max(1, Math.min(Math.round(params.height * heightUnit), frame.height - top));
+
+    // a new picture when the size changes - the old one would be stretched
+    if (!state.canvas || state.canvas.width != width || state.canvas.height != height) {
+        state.canvas = document.createElement("canvas");
+        state.canvas.width = width;
+        state.canvas.height = height;
+        state.ctx = state.canvas.getContext("2d");
+        state.column = state.ctx.createImageData(1, height);
+        state.lastTime = undefined;
+    }
+
+    // how many pixels to slide along - from the time, so it scrolls at the same speed at any frame rate
+    let elapsed = state.lastTime == undefined || time < state.lastTime ? 0 : time - state.lastTime;
+    state.lastTime = time;
+    state.leftover += elapsed * params.speed * unit;
+    let columns = Math.min(width, Math.floor(state.leftover));
+    state.leftover -= columns;
+
+    if (columns > 0) {
+        paintColumn(state.column, audioData, sampleRate, fftSize, params, frame.palette);
+        state.ctx.drawImage(state.canvas, -columns, 0);
+        for (let x = width - columns; x < width; x++) {
+            state.ctx.putImageData(state.column, x, 0);
+        }
+    }
+
+    ctx.globalAlpha = params.opacity;
+    ctx.drawImage(state.canvas, 0, top);
+    ctx.globalAlpha = 1;
+
+    if (params.showAxes) drawAxes(ctx, width, top, height, sampleRate, params, frame);
+}
+
+// fills the 1 pixel wide ImageData with the spectrum, the top row is the highest frequency
+function paintColumn(column, audioData, sampleRate, fftSize, params, palette) {
+    let scale = SCALES[params.scale];
+    let height = column.height;
+    let min = scale.toScale(MIN_FREQUENCY);
+    let max = scale.toScale(sampleRate / 2);
+    let table = colorTables[params.colorMap];
+    let data = column.data;
+
+    for (let y = 0; y < height; y++) {
+        let frequency = scale.fromScale(min + (max - min) * (1 - y / (height - 1)));
+        let value = getValueAt(audioData, frequency * fftSize / sampleRate);
+        let index = y * 4;
+
+        if (table) {
+            data[index] = table[value * 3];
+            data[index + 1] = table[value * 3 + 1];
+            data[index + 2] = table[value * 3 + 2];
+            data[index + 3] = 255;
+        }
+        else {
+            // the palette: the color from along the palette, brighter the louder it is
+            let [red, green, blue] = palette.rgb(value / 255);
+            data[index] = red * value / 255;
+            data[index + 1] = green * value / 255;
+            data[index + 2] = blue * value / 255;
+            data[index + 3] = 255;
+        }
+    }
+}
+
+// the level at a fractional bin, in between the two bins around it
+function getValueAt(audioData, bin) {
+    let lower = Math.floor(bin);
+    if (lower >= audioData.length - 1) return audioData[audioData.length - 1];
+    let fraction = bin - lower;
+    return Math.round(audioData[lower] * (1 - fraction) + audioData[lower + 1] * fraction);
+}
+
+function drawAxes(ctx, width, top, height, sampleRate, params, frame) {
+    let scale = SCALES[params.scale];
+    let min = scale.toScale(MIN_FREQUENCY);
+    let max = scale.toScale(sampleRate / 2);
+    let fontSize = 11 * frame.unit;
+
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.fillStyle = frame.palette.stroke;
+    ctx.strokeStyle = frame.palette.stroke;
+    ctx.lineWidth = 1;
+    ctx.globalAlpha = .8;
+
+    // frequency, up the left side
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    for (let frequency of FREQUENCY_LABELS) {
+        if (frequency > sampleRate / 2) break;
+        let y = top + height * (1 - (scale.toScale(frequency) - min) / (max - min));
+        ctx.fillRect(0, y, 4 * frame.unit, 1);
+        ctx.fillText(frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`, 6 * frame.unit, y);
+    }
+
+    // time, along the bottom - seconds ago, counting back from the right edge
+    let pixelsPerSecond = params.speed * frame.unit;
+    let step = Math.max(1, Math.ceil(40 * frame.unit / pixelsPerSecond));
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    for (let seconds = step; width - seconds * pixelsPerSecond > 20 * frame.unit; seconds += step) {
+        let x = width - seconds * pixelsPerSecond;
+        ctx.fillRect(x, top + height - 4 * frame.unit, 1, 4 * frame.unit);
+        ctx.fillText(`-${seconds}s`, x, top + height - 5 * frame.unit);
+    }
+}
+
+// 256 colors (r, g, b, r, g, b ...) evenly spread along the stops
+function createColorTable(stops) {
+    let colors = stops.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    let table = new Uint8Array(256 * 3);
+
+    for (let value = 0; value < 256; value++) {
+        let position = value / 255 * (colors.length - 1);
+        let index = Math.min(Math.floor(position), colors.length - 2);
+        let percent = position - index;
+        for (let channel = 0; channel < 3; channel++) {
+            table[value * 3 + channel] = Math.round(colors[index][channel] * (1 - percent) + colors[index + 1][channel] * percent);
+        }
+    }
+
+    return table;
+}
+
+export { type, label, order, enabled, params, createState, draw };
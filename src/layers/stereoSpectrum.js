@@ -0,0 +1,54 @@
+/*
+    stereoSpectrum.js - the left and right channels as two mirrored spectrums:
+    the left channel grows out to the left from the center, the right channel out to the right,
+    with the low frequencies in the middle
+*/
+
+import * as analysis from '../analysis.js';
+
+const type = "stereoSpectrum";
+const label = "Stereo Spectrum";
+const order = 35;
+const enabled = false;
+
+const params = Object.freeze([
+    { name: "bars", label: "Bars per Side", type: "range", min: 8, max: 128, step: 1, default: 48 },
+    { name: "barHeight", label: "Bar Height", type: "range", min: 20, max: 400, step: 5, default: 150 },
+    { name: "position", label: "Height Position", type: "range", min: 0, max: 400, step: 5, default: 400 },
+    { name: "reflect", label: "Reflection", type: "checkbox", default: false }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, heightUnit, channels, audioData, sampleRate, palette } = frame;
+    let barCount = params.bars;
+
+    // the bars are spaced out logarithmically, like we hear pitch - so the bass isn't squeezed
+    // into the first bar or two (without channel analysers both sides show the mix)
+    let getBars = data => analysis.groupBins(data, barCount, analysis.SPACINGS.log, sampleRate, data.length * 2);
+    let left = getBars(channels[0] ? channels[0].frequencyData : audioData);
+    let right = getBars(channels[1] ? channels[1].frequencyData : audioData);
+
+    let barWidth = width / 2 / barCount;
+    let baseY = params.position * heightUnit;
+    let maxHeight = params.barHeight * heightUnit;
+    let centerX = width / 2;
+
+    for (let i = 0; i < barCount; i++) {
+        let leftHeight = left[i] / 255 * maxHeight;
+        let rightHeight = right[i] / 255 * maxHeight;
+        let x = i * barWidth;
+
+        ctx.fillStyle = palette.color(i / barCount);
+        ctx.fillRect(centerX - x - barWidth, baseY - leftHeight, barWidth * .8, leftHeight);
+        ctx.fillRect(centerX + x + barWidth * .2, baseY - rightHeight, barWidth * .8, rightHeight);
+
+        if (params.reflect) {
+            ctx.globalAlpha = .3;
+            ctx.fillRect(centerX - x - barWidth, baseY, barWidth * .8, leftHeight / 2);
+            ctx.fillRect(centerX + x + barWidth * .2, baseY, barWidth * .8, rightHeight / 2);
+            ctx.globalAlpha = 1;
+        }
+    }
+}
+
+export { type, label, order, enabled, params, draw };
@@ -0,0 +1,77 @@
+/*
+    trackInfo.js - the cover art of the track clipped to a circle in the center of the canvas,
+    with the title and artist underneath (see metadata.js for where they come from)
+    it takes the place of the date layer, so it starts switched off
+*/
+
+const type = "trackInfo";
+const label = "Track Info";
+const order = 75;
+const enabled = false;
+
+const params = Object.freeze([
+    { name: "showCover", label: "Show Cover Art", type: "checkbox", default: true },
+    { name: "bounce", label: "Bounce Effect", type: "checkbox", default: false },
+    { name: "radius", label: "Radius", type: "range", min: 20, max: 180, step: 1, default: 65 },
+    { name: "showText", label: "Show Title", type: "checkbox", default: true },
+    { name: "fontSize", label: "Font Size", type: "range", min: 10, max: 60, step: 1, default: 24 }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, height, unit, track, palette } = frame;
+
+    // nothing is playing from a file (e.g. live input)
+    if (!track) return;
+
+    let centerX = width / 2;
+    let centerY = height / 2;
+    let radius = params.radius * unit;
+    let hasCover = params.showCover && track.cover;
+
+    if (params.bounce) {
+        radius = frame.getBounceRadius(radius);
+    }
+
+    if (hasCover) {
+        drawCover(ctx, track.cover, centerX, centerY, radius);
+
+        ctx.strokeStyle = palette.stroke;
+        ctx.lineWidth = 2 * unit;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    if (!params.showText) return;
+
+    let fontSize = params.fontSize * unit;
+    // under the cover if there is one, otherwise right in the middle
+    let textY = hasCover ? centerY + radius + fontSize : centerY - (track.artist ? fontSize / 2 : 0);
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = palette.stroke;
+    ctx.font = `${fontSize}px 'Bebas Neue', cursive`;
+    ctx.fillText(track.title, centerX, textY, width * .9);
+
+    if (track.artist) {
+        ctx.fillStyle = palette.color(frame.colorRotation / 2);
+        ctx.font = `${fontSize * .75}px 'Bebas Neue', cursive`;
+        ctx.fillText(track.artist, centerX, textY + fontSize, width * .9);
+    }
+}
+
+// draws the middle square of the image so it fills the circle without stretching
+function drawCover(ctx, image, centerX, centerY, radius) {
+    let size = Math.min(image.width, image.height);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.drawImage(image, (image.width - size) / 2, (image.height - size) / 2, size, size,
+        centerX - radius, centerY - radius, radius * 2, radius * 2);
+    ctx.restore();
+}
+
+export { type, label, order, enabled, params, draw };
@@ -0,0 +1,59 @@
+/*
+    waveform.js - a flowing line across the canvas that follows the spectrum
+    (despite the name it draws the frequency data - oscilloscope.js draws the real waveform)
+*/
+
+const type = "waveform";
+const label = "Waveform";
+const order = 40;
+const enabled = true;
+
+// what "Detail" starts at, and the number of bins there used to be
+const DEFAULT_POINTS = 128;
+
+const params = Object.freeze([
+    { name: "position", label: "Height Position", type: "range", min: 0, max: 800, step: 5, default: 600 },
+    { name: "lineWidth", label: "Line Width", type: "range", min: 1, max: 10, step: 1, default: 3 },
+    { name: "points", label: "Detail", type: "range", min: 16, max: 256, step: 1, default: DEFAULT_POINTS },
+    {
+        name: "frequencyScale", label: "Frequency Scale", type: "select", default: "linear", options: [
+            { value: "linear", label: "Linear" },
+            { value: "log", label: "Log" }
+        ]
+    }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, unit, heightUnit, palette } = frame;
+    let audioData = frame.analysis.getBands(params.points, params.frequencyScale);
+    let bufferLength = audioData.length;
+    // position is in pixels of the 800x400 design
+    let waveformHeight = params.position * heightUnit;
+
+    ctx.strokeStyle = palette.stroke;
+    ctx.lineWidth = params.lineWidth * unit;
+    ctx.beginPath();
+
+    let sliceWidth = width / bufferLength;
+    let x = 0;
+
+    for (let i = 0; i < bufferLength; i++) {
+        // the height was always divided by the 128 bins of the old fixed FFT size - it still is,
+        // so the line stays the same height whatever the detail
+        let v = audioData[i] / DEFAULT_POINTS;
+        let y = v * (waveformHeight / 2) / 2;
+
+        if (i === 0) {
+            ctx.moveTo(x, (waveformHeight / 2) - y);
+        } else {
+            ctx.lineTo(x, (waveformHeight / 2) - y);
+        }
+
+        x += sliceWidth;
+    }
+
+    ctx.lineTo(width, (waveformHeight / 2));
+    ctx.stroke();
+}
+
+export { type, label, order, enabled, params, draw };
@@ -0,0 +1,79 @@
+/*
+    xyScope.js - the left channel against the right one (a Lissajous figure, or a goniometer
+    when it is turned 45 degrees):
+      - mono audio is a straight line, up and down in goniometer mode
+      - the wider the stereo, the more it spreads out sideways
+      - out of phase audio lies on its side
+*/
+
+const type = "xyScope";
+const label = "XY Scope";
+const order = 55;
+const enabled = false;
+
+const params = Object.freeze([
+    { name: "goniometer", label: "Goniometer (45°)", type: "checkbox", default: true },
+    { name: "size", label: "Size", type: "range", min: 50, max: 200, step: 5, default: 150 },
+    { name: "gain", label: "Gain", type: "range", min: .5, max: 5, step: .1, default: 1 },
+    { name: "lineWidth", label: "Line Width", type: "range", min: 1, max: 5, step: 1, default: 1 },
+    { name: "showAxes", label: "Show Axes", type: "checkbox", default: true }
+]);
+
+function draw(frame, params) {
+    let { ctx, width, height, unit, channels, palette, colorRotation } = frame;
+
+    // there is nothing to plot without the two channels
+    if (channels.length < 2) return;
+
+    let left = channels[0].timeData;
+    let right = channels[1].timeData;
+    let size = params.size * unit;
+    let scale = size * params.gain;
+    let centerX = width / 2;
+    let centerY = height / 2;
+
+    ctx.translate(centerX, centerY);
+
+    if (params.showAxes) {
+        ctx.strokeStyle = palette.stroke;
+        ctx.globalAlpha = .25;
+        ctx.lineWidth = unit;
+        ctx.beginPath();
+        ctx.moveTo(-size, 0);
+        ctx.lineTo(size, 0);
+        ctx.moveTo(0, -size);
+        ctx.lineTo(0, size);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+
+    // keep the trace inside its square
+    ctx.beginPath();
+    ctx.rect(-size, -size, size * 2, size * 2);
+    ctx.clip();
+
+    ctx.strokeStyle = palette.color(colorRotation);
+    ctx.lineWidth = params.lineWidth * unit;
+    ctx.globalAlpha = .8;
+    ctx.beginPath();
+
+    let length = Math.min(left.length, right.length);
+    for (let i = 0; i < length; i++) {
+        let x, y;
+        if (params.goniometer) {
+            // side (the difference) across, mid (the sum) up
+            x = (right[i] - left[i]) * Math.SQRT1_2;
+            y = (left[i] + right[i]) * Math.SQRT1_2;
+        }
+        else {
+            x = left[i];
+            y = right[i];
+        }
+
+        if (i == 0) ctx.moveTo(x * scale, -y * scale);
+        else ctx.lineTo(x * scale, -y * scale);
+    }
+    ctx.stroke();
+}
+
+export { type, label, order, enabled, params, draw };
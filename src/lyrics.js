@@ -0,0 +1,136 @@
+/*
+    lyrics.js reads LRC files and works out which line (and word) is being sung:
+      - standard LRC: [mm:ss.xx]line - a line can have several timestamps if it repeats
+      - enhanced LRC: [mm:ss.xx]<mm:ss.xx>word <mm:ss.xx>word ... with a time for every word
+      - [offset:+/-ms] in the file shifts every time, like the players do (positive = earlier)
+      - other tags like [ti:], [ar:] are kept in lyrics.tags
+
+    parseLRC() gives { tags, lines } where lines are sorted { time, text, words } in seconds
+    and words is null for lines without word times.
+    getLyricsAt() finds the current and next line for a time on the track.
+*/
+
+// [mm:ss], [mm:ss.x], [mm:ss.xx] or [mm:ss.xxx] - some files use ":" instead of "."
+const TIME_TAG = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const WORD_TAG = /<(\d+):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+const INFO_TAG = /^\[([a-z#]+):(.*)\]$/i;
+
+function parseLRC(text) {
+    let tags = {};
+    let lines = [];
+
+    for (let rawLine of text.split(/\r?\n/)) {
+        rawLine = rawLine.trim();
+        if (!rawLine) continue;
+
+        // all the timestamps at the start of the line
+        let times = [];
+        TIME_TAG.lastIndex = 0;
+        let match;
+        let end = 0;
+        while ((match = TIME_TAG.exec(rawLine)) && match.index == end) {
+            times.push(toSeconds(match));
+            end = TIME_TAG.lastIndex;
+        }
+
+        if (times.length == 0) {
+            let info = rawLine.match(INFO_TAG);
+            if (info) tags[info[1].toLowerCase()] = info[2].trim();
+            continue;
+        }
+
+        let { text: lineText, words } = parseWords(rawLine.slice(end));
+        for (let time of times) {
+            lines.push({ time, text: lineText, words });
+        }
+    }
+
+    // the offset tag is in milliseconds, and a positive one makes the lyrics come sooner
+    let offset = Number(tags.offset) / 1000 || 0;
+    let shiftedWords = new Set();   // a repeated line shares its words, they only move once
+    for (let line of lines) {
+        line.time -= offset;
+        if (line.words && !shiftedWords.has(line.words)) {
+            for (let word of line.words) word.time -= offset;
+            shiftedWords.add(line.words);
+        }
+    }
+
+    lines.sort((a, b) => a.time - b.time);
+    return { tags, lines };
+}
+
+// splits "<00:01.00>Hello <00:01.50>world" into words with their times
+// returns the plain text of the line too, and words = null if there are no word times
+function parseWords(lineText) {
+    let words = [];
+    let matches = [...lineText.matchAll(WORD_TAG)];
+
+    if (matches.length == 0) return { text: lineText.trim(), words: null };
+
+    for (let i = 0; i < matches.length; i++) {
+        let start = matches[i].index + matches[i][0].length;
+        let end = i + 1 < matches.length ? matches[i + 1].index : lineText.length;
+        let word = lineText.slice(start, end);
+        // a timestamp at the very end just marks when the last word stops
+        if (word.trim()) words.push({ time: toSeconds(matches[i]), text: word });
+    }
+
+    // words keep their own spaces, so joining them gives back the line
+    let plainText = lineText.replace(WORD_TAG, "").trim();
+    if (words.length > 0) {
+        words[0].text = words[0].text.trimStart();
+        words[words.length - 1].text = words[words.length - 1].text.trimEnd();
+    }
+    return { text: plainText, words: words.length > 0 ? words : null };
+}
+
+// match is [whole, minutes, seconds, fraction] - the fraction is hundredths in most files,
+// but could be tenths or thousandths, so its length decides
+function toSeconds(match) {
+    let fraction = match[3] ? Number(match[3]) / Math.pow(10, match[3].length) : 0;
+    return Number(match[1]) * 60 + Number(match[2]) + fraction;
+}
+
+// where we are in the lyrics at time (seconds):
+//   line/next - the line being sung and the one after it (either can be undefined)
+//   wordIndex - the word being sung in line.words, -1 if there are no word times or it hasn't started
+//   wordProgress - how far through that word we are (0-1), for a karaoke wipe
+function getLyricsAt(lyrics, time) {
+    let lines = lyrics.lines;
+
+    // the last line that has started
+    let low = 0;
+    let high = lines.length - 1;
+    let index = -1;
+    while (low <= high) {
+        let middle = (low + high) >> 1;
+        if (lines[middle].time <= time) {
+            index = middle;
+            low = middle + 1;
+        }
+        else {
+            high = middle - 1;
+        }
+    }
+
+    let line = lines[index];
+    let next = lines[index + 1];
+    let wordIndex = -1;
+    let wordProgress = 0;
+
+    if (line && line.words) {
+        for (let i = 0; i < line.words.length && line.words[i].time <= time; i++) wordIndex = i;
+
+        if (wordIndex >= 0) {
+            // a word lasts until the next word starts (or the next line, for the last word)
+            let wordEnd = line.words[wordIndex + 1] ? line.words[wordIndex + 1].time : (next ? next.time : Infinity);
+            let wordStart = line.words[wordIndex].time;
+            wordProgress = isFinite(wordEnd) && wordEnd > wordStart ? Math.min(1, (time - wordStart) / (wordEnd - wordStart)) : 1;
+        }
+    }
+
+    return { line, next, wordIndex, wordProgress };
+}
+
+export { parseLRC, getLyricsAt };
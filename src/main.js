@@ -10,24 +10,33 @@
 import * as utils from './utils.js';
 import * as audio from './audio.js';
 import * as canvas from './canvas.js';
+import * as files from './files.js';
+import * as metadata from './metadata.js';
+import * as lyrics from './lyrics.js';
+import * as playlist from './playlist.js';
+import * as effects from './effects.js';
+import * as analysis from './analysis.js';
+import * as layerPanel from './layerPanel.js';
+import * as palette from './palette.js';
+import * as paletteEditor from './paletteEditor.js';
+import * as layers from './layers.js';
+import * as filters from './filters.js';
+import * as presets from './presets.js';
+import * as recorder from './recorder.js';
+import * as offline from './offline.js';
+import * as overview from './overview.js';
+import * as capture from './capture.js';
+import * as cues from './cues.js';
+import * as cueEditor from './cueEditor.js';
+import * as outputLink from './outputLink.js';
+import * as safety from './safety.js';
 
-const drawParams = {
-  showGradient: false,
-  showBars: false,
-  showInvert: false,
-  showEmboss: false,
-  showBarCircle: true,
-  showProgress: true,
-  showDate: true,
-  showBounce: true,
-  showWaveform: true,
-  showPixels: true,
-  showCircleWaveform: true,
-  showGrayscale: false,
-  showSepia: false,
-}
+let messageTimeout;
 
-let waveformHeight = 200;
+// a capture being recorded, and a capture being played back instead of the audio - see setupCaptureUI()
+let currentCapture;
+let replay, replayStart;
+let outputController;
 
 // 1 - here we are faking an enumeration
 const DEFAULTS = Object.freeze({
@@ -37,10 +46,24 @@ const DEFAULTS = Object.freeze({
 function init() {
   console.log("init called");
   console.log(`Testing utils.getRandomColor() import: ${utils.getRandomColor()}`);
-  audio.setupWebaudio(DEFAULTS.sound1);
+  setupPlaylist();
+  let track = playlist.getCurrentTrack();
+  audio.setupWebaudio(track ? track.src : DEFAULTS.sound1);
   let canvasElement = document.querySelector("canvas"); // hookup <canvas> element
   setupUI(canvasElement);
-  canvas.setupCanvas(canvasElement, audio.analyserNode);
+  canvas.setupCanvas(canvasElement, audio.analyserNode, {
+    channelAnalysers: audio.channelAnalysers,
+    meterAnalysers: audio.meterAnalysers,
+    getCompressorReduction: audio.getCompressorReduction
+  });
+  // the pop-out output window draws what this canvas draws, cue fades and all
+  outputController = outputLink.createOutputController(audio.analyserNode, audio.channelAnalysers);
+  canvas.onSceneFade(duration => outputController.fadeNextState(duration));
+  if (track) loadTrackOverview(track);
+  updateNextTrack();
+  setupPresets();
+  // the first track's cues start from whatever the presets left on screen
+  if (track) cues.loadCues(track.cues || (track.cues = []));
   loop();
 }
 
@@ -49,33 +72,98 @@ function setupUI(canvasElement) {
   const fsButton = document.querySelector("#fsButton");
 
   // add .onclick event to button
+  // the container goes fullscreen and the canvas grows with it (see canvas.watchCanvasSize)
   fsButton.onclick = e => {
-    console.log("init called");
-    utils.goFullscreen(canvasElement);
+    utils.goFullscreen(canvasElement.parentElement);
+  };
+
+  // or the visualizer on its own in another window, e.g. on a projector (see outputLink.js)
+  document.querySelector("#popOutButton").onclick = e => {
+    if (!outputLink.openOutputWindow()) showMessage("The browser blocked the output window, please allow pop-ups.");
+  };
+
+  // the canvas keeps this shape on the page
+  document.querySelector("#aspectSelect").onchange = e => {
+    canvasElement.parentElement.style.aspectRatio = e.target.value;
   };
 
   // add .onclick event to button
   const playButton = document.querySelector("#playButton");
   playButton.onclick = e => {
-    console.log(`audioCtx.state before = ${audio.audioCtx.state}`);
-
-    // check if context is in suspended state (autoplay policy)
-    if (audio.audioCtx.state == "suspended") {
-      audio.audioCtx.resume();
-    }
-    console.log(`audioCtx.state after = ${audio.audioCtx.state}`);
-    if (e.target.dataset.playing == "no") {
+    if (audio.element.paused) {
       // if track is currently paused, play it
-      audio.playCurrentSound();
-      e.target.dataset.playing = "yes"; // our CSS will set the text to "Pause"
-      // if track IS playing, pause it
+      playCurrentTrack();
     }
     else {
+      // if track IS playing, pause it
       audio.pauseCurrentSound();
-      e.target.dataset.playing = "no";
     }
   };
 
+  // keep the play button in sync with the <audio> element, however it got started or stopped
+  // our CSS will set the text to "Play" or "Pause"
+  // (there are two <audio> elements, for crossfades - we only hear from the one that is playing)
+  audio.addElementListener("play", e => {
+    playButton.dataset.playing = "yes";
+  });
+  audio.addElementListener("pause", e => {
+    playButton.dataset.playing = "no";
+  });
+
+  // move on to the next track when this one finishes
+  audio.addElementListener("ended", e => {
+    // a recording is of one track, so it ends with it
+    if (recorder.isRecording()) stopRecording();
+
+    let track = playlist.next(true);
+    if (track) goToTrack(track, true);
+  });
+
+  // with a crossfade or gapless playback, audio.js moves on to the next track by itself
+  // and we catch up with it here
+  audio.onTrackChange(src => {
+    if (recorder.isRecording()) stopRecording();
+    showTrack(playlist.next(true));
+  });
+
+  // hookup the crossfade slider and the gapless checkbox
+  let crossfadeSlider = document.querySelector("#crossfadeSlider");
+  crossfadeSlider.oninput = e => {
+    audio.setTransition({ crossfade: e.target.value });
+    document.querySelector("#crossfadeLabel").innerHTML = e.target.value;
+  };
+  crossfadeSlider.dispatchEvent(new Event("input"));
+
+  document.querySelector("#gaplessCB").onchange = e => {
+    audio.setTransition({ gapless: e.target.checked });
+  };
+
+  // hookup previous/next buttons
+  document.querySelector("#prevButton").onclick = e => {
+    goToTrack(playlist.previous(), !audio.element.paused);
+  };
+  document.querySelector("#nextButton").onclick = e => {
+    goToTrack(playlist.next(), !audio.element.paused);
+  };
+
+  // hookup shuffle and repeat buttons
+  const shuffleButton = document.querySelector("#shuffleButton");
+  shuffleButton.onclick = e => {
+    playlist.setShuffle(!playlist.getShuffle());
+    shuffleButton.dataset.active = playlist.getShuffle() ? "yes" : "no";
+    updateNextTrack();
+  };
+
+  const repeatButton = document.querySelector("#repeatButton");
+  repeatButton.onclick = e => {
+    // cycle off -> all -> one -> off
+    let modes = Object.values(playlist.REPEAT_MODES);
+    let nextMode = modes[(modes.indexOf(playlist.getRepeat()) + 1) % modes.length];
+    playlist.setRepeat(nextMode);
+    repeatButton.dataset.repeat = nextMode;
+    updateNextTrack();
+  };
+
 
   // Hookup volume slider & label
   let volumeSlider = document.querySelector("#volumeSlider");
@@ -92,83 +180,934 @@ function setupUI(canvasElement) {
   // set value of label to match initial value of slider
   volumeSlider.dispatchEvent(new Event("input"));
 
-  // Hookup volume slider & label
-  let waveformSlider = document.querySelector("#waveformSlider");
-  let waveformLabel = document.querySelector("#waveformLabel");
-
-  // add .oninput event to slider
-  waveformSlider.oninput = e => {
-    waveformHeight = waveformSlider.value;
-    // update value of label to match value of slider
-    waveformLabel.innerHTML = waveformSlider.max - e.target.value;
+  // the integrated loudness is measured from here on (and from the start of each track)
+  document.querySelector("#resetLoudnessButton").onclick = e => {
+    canvas.getLoudnessMeter().resetIntegrated();
   };
 
-  // set value of label to match initial value of slider
-  waveformSlider.dispatchEvent(new Event("input"));
+  // hookup the record button
+  setupRecordUI(canvasElement);
+
+  // hookup the offline renderer
+  setupRenderUI(canvasElement);
 
+  // hookup capturing and replaying the analyser data
+  setupCaptureUI();
+
+  // hookup the effects and compressor controls
+  setupEffectControls();
+
+  // and the analyser settings
+  setupAnalysisUI();
+
+  // and the photosensitivity safeguards
+  setupSafetyUI();
 
   // hookup track <select>
   let trackSelect = document.querySelector("#trackSelect");
   // add .onchange event to <select>
   trackSelect.onchange = e => {
-    audio.loadSoundFile(e.target.value);
-    // pause the current track if it is playing
-    if (playButton.dataset.playing = "yes") {
-      playButton.dispatchEvent(new MouseEvent("click"));
-    }
+    // keep playing if we were already playing
+    goToTrack(playlist.selectTrack(e.target.selectedIndex), !audio.element.paused);
   };
 
+  // let the user know when a track could not be loaded (e.g. the file is missing)
+  audio.addElementListener("error", e => {
+    let option = trackSelect.options[trackSelect.selectedIndex];
+    showMessage(`Could not load "${option ? option.text : audio.element.src}".`);
+  });
 
-  // setup toggles
-  document.querySelector('#gradientCB').onchange = e => {
-    drawParams.showGradient = e.target.checked;
+  // hookup the file/live input switch
+  for (let radio of document.querySelectorAll("input[name='source']")) {
+    radio.onchange = e => setSourceMode(e.target.value);
+  }
+  document.querySelector("#inputSelect").onchange = e => {
+    setSourceMode(audio.SOURCE_MODES.live);
   };
-  document.querySelector('#barsCB').onchange = e => {
-    drawParams.showBars = e.target.checked;
+
+  // hookup the file picker
+  let fileInput = document.querySelector("#fileInput");
+  fileInput.onchange = e => {
+    addTracks(e.target.files);
+    // clear the input so picking the same file again still fires onchange
+    e.target.value = "";
   };
-  document.querySelector('#invertCB').onchange = e => {
-    drawParams.showInvert = e.target.checked;
+
+  // and the lyrics picker, for the track that is playing
+  let lyricsInput = document.querySelector("#lyricsInput");
+  lyricsInput.onchange = e => {
+    if (e.target.files.length > 0) loadLyricsFile(playlist.getCurrentTrack(), e.target.files[0]);
+    e.target.value = "";
   };
-  document.querySelector('#embossCB').onchange = e => {
-    drawParams.showEmboss = e.target.checked;
+
+  // hookup drag and drop onto the canvas
+  canvasElement.ondragover = e => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    canvasElement.classList.add("dragover");
   };
-  document.querySelector('#barCircleCB').onchange = e => {
-    drawParams.showBarCircle = e.target.checked;
+  canvasElement.ondragleave = e => {
+    canvasElement.classList.remove("dragover");
   };
-  document.querySelector('#dateCB').onchange = e => {
-    drawParams.showDate = e.target.checked;
+  canvasElement.ondrop = e => {
+    e.preventDefault();
+    canvasElement.classList.remove("dragover");
+    addTracks(e.dataTransfer.files);
   };
-  document.querySelector('#bounceCB').onchange = e => {
-    drawParams.showBounce = e.target.checked;
+
+  // the whole track under the canvas, click or drag it to seek
+  overview.setupOverview(document.querySelector("#overview"));
+
+  // and the progress arc in the canvas can be dragged around to seek too
+  setupCanvasSeeking(canvasElement);
+
+
+  // the palette every layer takes its colors from
+  paletteEditor.setupPaletteEditor(document.querySelector("#palette"));
+
+  // build the layer controls from the layer declarations
+  layerPanel.setupLayerPanel(document.querySelector("#layers"), layers.layerStack);
+
+  // and the image filter controls from the filter declarations
+  layerPanel.setupLayerPanel(document.querySelector("#filters"), filters.filterStack, "Filter");
+
+  // the cue list of the track that is playing
+  cueEditor.setupCueEditor(document.querySelector("#cues"), {
+    getTrack: () => audio.getSourceMode() == audio.SOURCE_MODES.file ? playlist.getCurrentTrack() : undefined,
+    getTime: () => audio.element.currentTime,
+    seek: time => audio.seek(time),
+    loadCuesFile
+  });
+
+} // end setupUI
+
+// grabbing a layer that can be dragged (see layers.hitTestLayers()) - the progress arc is the only one so far,
+// its value is how far through the track the pointer is
+function setupCanvasSeeking(canvasElement) {
+  let grabbedId;
+
+  // pointer position -> canvas pixels (the bitmap isn't the same size as the canvas on the page)
+  let hitTest = (e, id) => {
+    let rect = canvasElement.getBoundingClientRect();
+    let x = (e.clientX - rect.left) * canvasElement.width / rect.width;
+    let y = (e.clientY - rect.top) * canvasElement.height / rect.height;
+    return canvas.hitTest(x, y, id);
   };
-  document.querySelector('#circleWaveformCB').onchange = e => {
-    drawParams.showCircleWaveform = e.target.checked;
+
+  canvasElement.onpointerdown = e => {
+    let hit = hitTest(e);
+    if (!hit || !audio.hasDuration()) return;
+
+    grabbedId = hit.id;
+    canvasElement.setPointerCapture(e.pointerId);
+    audio.seek(hit.value * audio.element.duration);
   };
-  document.querySelector('#progressCB').onchange = e => {
-    drawParams.showProgress = e.target.checked;
+  canvasElement.onpointermove = e => {
+    if (grabbedId == undefined) {
+      canvasElement.style.cursor = audio.hasDuration() && hitTest(e) ? "grab" : "";
+      return;
+    }
+
+    let hit = hitTest(e, grabbedId);
+    if (hit) audio.seek(hit.value * audio.element.duration);
   };
-  document.querySelector('#waveformCB').onchange = e => {
-    drawParams.showWaveform = e.target.checked;
+  canvasElement.onpointerup = canvasElement.onpointercancel = e => {
+    grabbedId = undefined;
   };
-  document.querySelector('#pixelsCB').onchange = e => {
-    drawParams.showPixels = e.target.checked;
+}
+
+function setupRecordUI(canvasElement) {
+  const recordButton = document.querySelector("#recordButton");
+
+  if (!recorder.isSupported()) {
+    recordButton.disabled = true;
+    recordButton.title = "This browser can't record the canvas";
+    return;
+  }
+
+  recordButton.onclick = e => {
+    if (recorder.isRecording()) {
+      stopRecording();
+      return;
+    }
+
+    // the audio graph needs to be running for the audio track to have anything in it
+    if (audio.audioCtx.state == "suspended") {
+      audio.audioCtx.resume();
+    }
+
+    try {
+      recorder.startRecording(canvasElement, audio.getRecordingStream(), {
+        frameRate: Number(document.querySelector("#recordFrameRate").value),
+        videoBitsPerSecond: Number(document.querySelector("#recordBitrate").value)
+      });
+      recordButton.dataset.recording = "yes"; // our CSS will set the text to "Stop"
+      document.querySelector("#recordingLink").hidden = true;
+    }
+    catch (error) {
+      showMessage(`Could not start recording: ${error.message}`);
+    }
   };
-  document.querySelector('#grayscaleCB').onchange = e => {
-    drawParams.showGrayscale = e.target.checked;
+}
+
+// stops the recorder and offers the video as a download
+function stopRecording() {
+  document.querySelector("#recordButton").dataset.recording = "no";
+
+  recorder.stopRecording().then(blob => {
+    if (!blob) return;
+
+    let link = document.querySelector("#recordingLink");
+    // let go of the last recording before offering a new one
+    if (link.href) URL.revokeObjectURL(link.href);
+
+    link.href = URL.createObjectURL(blob);
+    link.download = `visualizer-${new Date().toISOString().replace(/[:.]/g, "-")}.webm`;
+    link.textContent = `Download recording (${(blob.size / 1000000).toFixed(1)} MB)`;
+    link.hidden = false;
+  });
+}
+
+function setupCaptureUI() {
+  const captureButton = document.querySelector("#captureButton");
+  const stopReplayButton = document.querySelector("#stopReplayButton");
+
+  captureButton.onclick = e => {
+    if (currentCapture) {
+      stopCapture();
+      return;
+    }
+
+    currentCapture = capture.createCapture(audio.analyserNode, audio.channelAnalysers, {
+      track: audio.getSourceMode() == audio.SOURCE_MODES.file ? playlist.getCurrentTrack() : undefined,
+      startDate: new Date()
+    });
+    captureButton.dataset.capturing = "yes"; // our CSS will set the text to "Stop"
+    document.querySelector("#captureLink").hidden = true;
   };
-  document.querySelector('#sepiaCB').onchange = e => {
-    drawParams.showSepia = e.target.checked;
+
+  document.querySelector("#replayInput").onchange = e => {
+    let file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    capture.readCapture(file).then(newReplay => {
+      if (currentCapture) stopCapture();
+      replay = newReplay;
+      replayStart = performance.now() / 1000;
+      // there is nothing for the loudness meter in a capture
+      canvas.setSource(replay.analyser, replay.channelAnalysers);
+      outputController.setSource(replay.analyser, replay.channelAnalysers);
+      captureButton.disabled = true;
+      stopReplayButton.hidden = false;
+    }).catch(error => showMessage(`Could not replay ${file.name}: ${error.message}`));
   };
 
-} // end setupUI
+  stopReplayButton.onclick = e => {
+    replay = undefined;
+    canvas.setSource(audio.analyserNode, audio.channelAnalysers, audio.meterAnalysers);
+    outputController.setSource(audio.analyserNode, audio.channelAnalysers);
+    captureButton.disabled = false;
+    stopReplayButton.hidden = true;
+  };
+}
+
+// stops capturing and offers the capture as a download
+function stopCapture() {
+  let finished = currentCapture;
+  currentCapture = undefined;
+  document.querySelector("#captureButton").dataset.capturing = "no";
+  document.querySelector("#captureFrames").innerHTML = "";
+  if (finished.getFrameCount() == 0) return;
+
+  finished.finish().then(blob => {
+    let link = document.querySelector("#captureLink");
+    // let go of the last capture before offering a new one
+    if (link.href) URL.revokeObjectURL(link.href);
+
+    link.href = URL.createObjectURL(blob);
+    link.download = `visualizer-${new Date().toISOString().replace(/[:.]/g, "-")}.${capture.FILE_EXTENSION}`;
+    link.textContent = `Download capture (${finished.getFrameCount()} frames, ${(blob.size / 1000000).toFixed(1)} MB)`;
+    link.hidden = false;
+  });
+}
+
+// the render clock for a replay, and the replay pointed at the frame it is for - it loops
+function createReplayClock() {
+  let index = replay.getFrameAt((performance.now() / 1000 - replayStart) % Math.max(replay.duration, .001));
+  replay.setFrame(index);
+  return replay.getClock(index);
+}
+
+function setupRenderUI(canvasElement) {
+  const renderButton = document.querySelector("#renderButton");
+  const renderProgress = document.querySelector("#renderProgress");
+
+  if (!offline.canWriteToFolder()) {
+    document.querySelector("#renderFormat option[value='folder']").disabled = true;
+  }
+
+  renderButton.onclick = e => {
+    if (renderButton.dataset.rendering == "yes") {
+      offline.cancelRender();
+      return;
+    }
+
+    let track = playlist.getCurrentTrack();
+    if (!track) return;
+
+    renderButton.dataset.rendering = "yes"; // our CSS will set the text to "Cancel"
+    renderProgress.innerHTML = "Decoding...";
+
+    offline.renderTrack({
+      src: track.src,
+      track,
+      analyser: audio.analyserNode,
+      channelAnalysers: audio.channelAnalysers,
+      frameRate: Number(document.querySelector("#renderFrameRate").value),
+      format: document.querySelector("#renderFormat").value,
+      width: canvasElement.width,
+      height: canvasElement.height,
+      onProgress: (done, total) => {
+        renderProgress.innerHTML = `${Math.floor(done / total * 100)}% (${done}/${total} frames)`;
+      }
+    }).then(zipBlob => {
+      if (zipBlob) utils.downloadBlob(zipBlob, `${track.title} frames.zip`);
+      renderProgress.innerHTML = "Done!";
+    }).catch(error => {
+      renderProgress.innerHTML = "";
+      showMessage(`Render stopped: ${error.message}`);
+    }).finally(() => {
+      renderButton.dataset.rendering = "no";
+    });
+  };
+}
+
+// every effect control says which effect and param it drives with data-effect and data-param
+function setupEffectControls() {
+  for (let input of document.querySelectorAll("#effects [data-effect]")) {
+    let update = e => {
+      let value = input.type == "checkbox" ? input.checked : input.value;
+      // the frequency slider moves through log10(Hz) so that every octave gets the same room
+      if (input.dataset.scale == "log") value = Math.round(10 ** value);
+
+      if (input.dataset.effect == "compressor") {
+        audio.setCompressorParam(input.dataset.param, value);
+      }
+      else {
+        effects.setEffectParam(input.dataset.effect, input.dataset.param, value);
+      }
+
+      // update value of label to match value of slider
+      let label = input.nextElementSibling;
+      if (label && label.classList.contains("effectValue")) label.innerHTML = value;
+    };
+
+    if (input.type == "range") input.oninput = update;
+    else input.onchange = update;
+
+    // set value of label to match initial value of the control
+    update();
+  }
+
+  document.querySelector("#analyserTapSelect").onchange = e => {
+    audio.setAnalyserTap(e.target.value);
+  };
+}
+
+// every analyser control carries the name of its setting in data-setting
+function setupAnalysisUI() {
+  analysis.setupAnalysis([audio.analyserNode, ...audio.channelAnalysers]);
+
+  for (let input of document.querySelectorAll("#analysisSettings [data-setting]")) {
+    let update = e => analysis.setSettings({ [input.dataset.setting]: input.value });
+    if (input.type == "range") input.oninput = update;
+    else input.onchange = update;
+  }
+
+  // the controls follow the settings, so presets show up - and so does a min dB that was refused
+  // for being above the max
+  analysis.onChange(setAnalysisControls);
+  setAnalysisControls(analysis.getSettings());
+}
+
+function setupSafetyUI() {
+  for (let input of document.querySelectorAll("#safetySettings [data-safety]")) {
+    input.onchange = e => {
+      let value = input.type == "checkbox" ? input.checked : input.value;
+      safety.setSettings({ [input.dataset.safety]: value });
+    };
+  }
+
+  safety.onChange(setSafetyControls);
+  setSafetyControls(safety.getSettings());
+}
+
+function setSafetyControls(settings) {
+  for (let input of document.querySelectorAll("#safetySettings [data-safety]")) {
+    if (input.type == "checkbox") input.checked = settings[input.dataset.safety];
+    else input.value = settings[input.dataset.safety];
+  }
+  // strict safe mode limits flashing whatever the checkbox says
+  document.querySelector("#limitFlashesCB").disabled = settings.strict;
+}
+
+function setAnalysisControls(settings) {
+  for (let input of document.querySelectorAll("#analysisSettings [data-setting]")) {
+    input.value = settings[input.dataset.setting];
+
+    let label = input.nextElementSibling;
+    if (label && label.classList.contains("effectValue")) label.innerHTML = input.value;
+  }
+}
+
+// moves the effect controls to match saved settings and fires their events,
+// so the audio graph and the labels update just like when the user drags them
+function setEffectControls(settings) {
+  for (let input of document.querySelectorAll("#effects [data-effect]")) {
+    let { effect, param } = input.dataset;
+    let value;
+
+    if (effect == "eq" && param != "bypass") {
+      value = settings.eq ? settings.eq.gains[parseInt(param.replace("gain", ""))] : undefined;
+    }
+    else {
+      value = settings[effect] ? settings[effect][param] : undefined;
+    }
+    if (value == undefined) continue;
+
+    if (input.type == "checkbox") {
+      input.checked = value;
+    }
+    else {
+      input.value = input.dataset.scale == "log" ? Math.log10(value) : value;
+    }
+    input.dispatchEvent(new Event(input.type == "range" ? "input" : "change"));
+  }
+
+  if (settings.analyserTap) {
+    let tapSelect = document.querySelector("#analyserTapSelect");
+    tapSelect.value = settings.analyserTap;
+    tapSelect.dispatchEvent(new Event("change"));
+  }
+}
+
+// every part of the app that has settings worth saving registers a section with the presets module
+function setupPresets() {
+  presets.registerSection("layers", {
+    get: () => layers.serializeStack(),
+    set: value => layers.loadStack(value)
+  });
+
+  presets.registerSection("filters", {
+    get: () => filters.filterStack.serialize(),
+    set: value => filters.loadPipeline(value)
+  });
+
+  presets.registerSection("palette", {
+    get: () => palette.getSettings(),
+    set: value => palette.setSettings(value)
+  });
+
+  presets.registerSection("analysis", {
+    get: () => analysis.getSettings(),
+    set: value => analysis.setSettings(value)
+  });
+
+  presets.registerSection("volume", {
+    get: () => Number(document.querySelector("#volumeSlider").value),
+    set: value => {
+      let volumeSlider = document.querySelector("#volumeSlider");
+      volumeSlider.value = value;
+      volumeSlider.dispatchEvent(new Event("input"));
+    }
+  });
+
+  presets.registerSection("effects", {
+    get: () => Object.assign(effects.getEffectSettings(), {
+      compressor: audio.getCompressorSettings(),
+      analyserTap: audio.getAnalyserTap()
+    }),
+    set: value => setEffectControls(value)
+  });
+
+  setupPresetUI();
+
+  // open straight into a shared look if the link has one
+  applyPresetFromURL();
+  window.onhashchange = applyPresetFromURL;
+}
+
+function setupPresetUI() {
+  let presetSelect = document.querySelector("#presetSelect");
+  let presetNameInput = document.querySelector("#presetNameInput");
+
+  renderPresetList();
+
+  // switching presets applies them right away, even while a track plays
+  presetSelect.onchange = e => {
+    if (!e.target.value) return;
+    if (!confirmFlashProneState(presets.getPreset(e.target.value))) {
+      e.target.value = "";
+      return;
+    }
+    try {
+      presets.loadPreset(e.target.value);
+      presetNameInput.value = presets.isBuiltInPreset(e.target.value) ? "" : e.target.value;
+    }
+    catch (error) {
+      showMessage(error.message);
+    }
+  };
+
+  document.querySelector("#savePresetButton").onclick = e => {
+    try {
+      presets.savePreset(presetNameInput.value);
+      renderPresetList(presetNameInput.value.trim());
+      showMessage(`Saved preset "${presetNameInput.value.trim()}".`);
+    }
+    catch (error) {
+      showMessage(error.message);
+    }
+  };
+
+  document.querySelector("#deletePresetButton").onclick = e => {
+    let name = presetSelect.value;
+    if (!name || presets.isBuiltInPreset(name)) {
+      showMessage("Built-in presets can't be deleted.");
+      return;
+    }
+    presets.deletePreset(name);
+    renderPresetList();
+  };
+
+  // export whatever is on screen right now
+  document.querySelector("#exportPresetButton").onclick = e => {
+    let name = presetNameInput.value.trim() || "My Preset";
+    utils.downloadBlob(presets.exportPreset(name, presets.captureState()), `${name}.json`);
+  };
+
+  document.querySelector("#importPresetInput").onchange = e => {
+    let file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    presets.importPreset(file).then(name => {
+      renderPresetList(name);
+      if (!confirmFlashProneState(presets.getPreset(name))) return;
+      presets.loadPreset(name);
+      showMessage(`Imported preset "${name}".`);
+    }).catch(error => showMessage(`Could not import ${file.name}: ${error.message}`));
+  };
+
+  document.querySelector("#sharePresetButton").onclick = e => {
+    let hash = presets.encodeStateForURL();
+    // replaceState doesn't fire hashchange, so we don't re-apply what is already on screen
+    history.replaceState(null, "", hash);
+
+    navigator.clipboard.writeText(location.href).then(() => {
+      showMessage("Share link copied to the clipboard.");
+    }).catch(() => {
+      showMessage("Share link is in the address bar.");
+    });
+  };
+}
+
+// fills the preset <select> with the built-in and saved presets
+function renderPresetList(selectedName = "") {
+  let presetSelect = document.querySelector("#presetSelect");
+  presetSelect.innerHTML = "";
+
+  let placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.text = "Choose a preset...";
+  presetSelect.appendChild(placeholder);
+
+  let groups = [["Built-in", presets.getBuiltInPresetNames()], ["Saved", presets.getUserPresetNames()]];
+  for (let [label, names] of groups) {
+    if (names.length == 0) continue;
+
+    let optgroup = document.createElement("optgroup");
+    optgroup.label = label;
+    for (let name of names) {
+      let option = document.createElement("option");
+      option.value = option.text = name;
+      optgroup.appendChild(option);
+    }
+    presetSelect.appendChild(optgroup);
+  }
+
+  presetSelect.value = selectedName;
+}
+
+function applyPresetFromURL() {
+  try {
+    let state = presets.decodeStateFromURL(location.hash);
+    if (state && confirmFlashProneState(state)) presets.applyState(state);
+  }
+  catch (error) {
+    showMessage(`Could not open the shared preset: ${error.message}`);
+  }
+}
+
+// a preset that turns on layers or filters that can flash asks first (see safety.confirmFlashProne())
+// in strict safe mode they would be left out anyway, so there is nothing to ask
+function confirmFlashProneState(state) {
+  if (!state || !state.sections || safety.isStrict()) return true;
+
+  let flashProne = getFlashProneEntries(state.sections);
+  return flashProne.every(([declaration]) => safety.confirmFlashProne(declaration));
+}
+
+// the cue scenes of a list that is being loaded are checked the same way (cues.js applies them without
+// asking), once per kind of effect - the effects the user turns down are taken out of every scene
+function confirmFlashProneCues(list) {
+  if (safety.isStrict()) return;
+
+  let answers = new Map();
+  for (let cue of list) {
+    for (let [declaration, entry] of getFlashProneEntries(cue.scene)) {
+      if (!answers.has(declaration)) answers.set(declaration, safety.confirmFlashProne(declaration));
+      if (answers.get(declaration)) continue;
+
+      let { layers: savedLayers, filters: savedFilters } = cue.scene;
+      if (Array.isArray(savedLayers) && savedLayers.includes(entry)) cue.scene.layers = savedLayers.filter(other => other != entry);
+      else if (Array.isArray(savedFilters)) cue.scene.filters = savedFilters.filter(other => other != entry);
+      else cue.scene.filters = Object.assign({}, savedFilters, { showInvert: false });
+    }
+  }
+}
+
+// [declaration, entry] for each flash-prone layer and filter the sections of a preset state (or a
+// cue scene) turn on
+function getFlashProneEntries(sections) {
+  let { layers: savedLayers, filters: savedFilters } = sections;
+  // presets from before the filter pipeline only had an invert checkbox (see filters.loadPipeline())
+  if (savedFilters && !Array.isArray(savedFilters)) savedFilters = savedFilters.showInvert ? [{ type: "invert" }] : [];
+
+  let entries = [
+    ...(Array.isArray(savedLayers) ? savedLayers.map(entry => [layers.getLayerType(entry.type), entry]) : []),
+    ...(Array.isArray(savedFilters) ? savedFilters.map(entry => [filters.filterStack.getType(entry.type), entry]) : [])
+  ];
+  return entries.filter(([declaration, entry]) => entry.enabled != false && safety.isFlashProne(declaration));
+}
+
+// adds the user's own files to the track <select> and starts playing the first one
+function addTracks(fileList) {
+  let { tracks, rejected, lyrics: lyricsFiles, cues: cuesFiles } = files.createTracks(fileList);
+
+  if (rejected.length > 0) {
+    let names = rejected.map(file => file.name).join(", ");
+    showMessage(`Unsupported file type: ${names}. Please use MP3, OGG, WAV, FLAC, LRC or .cues.json files.`);
+  }
+
+  // a lyrics or cues file on its own is for the track that is playing
+  if (tracks.length == 0) {
+    if (lyricsFiles.length > 0) loadLyricsFile(playlist.getCurrentTrack(), lyricsFiles[0]);
+    if (cuesFiles.length > 0) loadCuesFile(playlist.getCurrentTrack(), cuesFiles[0]);
+    return;
+  }
+
+  // new files mean the user wants to hear files again
+  if (audio.getSourceMode() == audio.SOURCE_MODES.live) setSourceMode(audio.SOURCE_MODES.file);
+
+  let firstIndex;
+  for (let track of tracks) {
+    let index = playlist.addTrack(track);
+    if (firstIndex == undefined) firstIndex = index;
+    loadTrackMetadata(track);
+    loadTrackLyrics(track);
+    loadTrackCues(track);
+  }
+  renderTrackList();
+
+  // select and play the first of the new tracks
+  goToTrack(playlist.selectTrack(firstIndex), true);
+}
+
+// builds the playlist from the <option>s that ship in index.html
+function setupPlaylist() {
+  let trackSelect = document.querySelector("#trackSelect");
+  let selectedIndex = trackSelect.selectedIndex;
+
+  for (let option of trackSelect.options) {
+    let track = { src: option.value, title: option.text };
+    playlist.addTrack(track);
+    loadTrackMetadata(track);
+    loadTrackLyrics(track);
+    loadTrackCues(track);
+  }
+  playlist.selectTrack(selectedIndex);
+}
+
+// fills in the title, artist and cover art from the tags in the file - without tags (or if they
+// can't be read) the track just keeps the name it came with
+function loadTrackMetadata(track) {
+  metadata.readMetadata(track.file || track.src)
+    .then(info => {
+      if (info.title) track.title = info.title;
+      if (info.artist) track.artist = info.artist;
+      if (info.album) track.album = info.album;
+      renderTrackList();
+
+      if (info.picture) {
+        return createImageBitmap(info.picture).then(image => track.cover = image);
+      }
+    })
+    .catch(error => {
+      // no tags we can read, the track keeps its name
+    });
+}
+
+// finds the lyrics for a track - the .lrc file that came in with it, or for the tracks that ship
+// with the app, an .lrc file with the same name next to it (e.g. media/FANCY.lrc)
+function loadTrackLyrics(track) {
+  if (track.lyricsFile) {
+    loadLyricsFile(track, track.lyricsFile);
+    return;
+  }
+  if (track.file) return;
+
+  fetch(`${files.getBaseName(track.src)}.${files.LYRICS_EXTENSION}`)
+    .then(response => response.ok ? response.text() : undefined)
+    .then(text => {
+      if (text) track.lyrics = lyrics.parseLRC(text);
+    })
+    .catch(error => {
+      // no lyrics for this one, that's fine
+    });
+}
+
+function loadLyricsFile(track, file) {
+  if (!track) return;
+
+  file.text().then(text => {
+    let parsed = lyrics.parseLRC(text);
+    if (parsed.lines.length == 0) {
+      showMessage(`There are no timed lyrics in ${file.name}.`);
+      return;
+    }
+    track.lyrics = parsed;
+  }).catch(error => showMessage(`Could not load ${file.name}: ${error.message}`));
+}
+
+// finds the cue list for a track - the .cues.json file that came in with it, or for the tracks that
+// ship with the app, a .cues.json file with the same name next to it (e.g. media/FANCY.cues.json)
+function loadTrackCues(track) {
+  if (track.cuesFile) {
+    loadCuesFile(track, track.cuesFile);
+    return;
+  }
+  if (track.file) return;
+
+  fetch(`${files.getBaseName(track.src)}${files.CUES_SUFFIX}`)
+    .then(response => response.ok ? response.text() : undefined)
+    .then(text => {
+      if (text) setTrackCues(track, cues.parseCues(text));
+    })
+    .catch(error => {
+      // no cues for this one, that's fine
+    });
+}
+
+function loadCuesFile(track, file) {
+  if (!track) return;
+
+  file.text()
+    .then(text => setTrackCues(track, cues.parseCues(text)))
+    .catch(error => showMessage(`Could not load ${file.name}: ${error.message}`));
+}
+
+// the cues can turn up after the track has started, so the one that is playing picks them up right away
+function setTrackCues(track, list) {
+  confirmFlashProneCues(list);
+  track.cues = list;
+  if (track == playlist.getCurrentTrack()) cues.loadCues(list);
+}
+
+// decodes the track for the overview under the canvas - it can take a moment for a long track
+function loadTrackOverview(track) {
+  overview.loadOverview(track)
+    .catch(error => showMessage(`Could not draw the overview of ${track.title}: ${error.message}`));
+}
+
+// "Title - Artist", like the tracks that ship with the app
+function getTrackLabel(track) {
+  return track.artist ? `${track.title} - ${track.artist}` : track.title;
+}
+
+// rebuilds the track <select> so it matches the playlist
+function renderTrackList() {
+  let trackSelect = document.querySelector("#trackSelect");
+  trackSelect.innerHTML = "";
+
+  for (let track of playlist.getTracks()) {
+    let option = document.createElement("option");
+    option.value = track.src;
+    option.text = getTrackLabel(track);
+    trackSelect.appendChild(option);
+  }
+  trackSelect.selectedIndex = playlist.getCurrentIndex();
+}
+
+// loads a track handed back by the playlist and keeps the track <select> in sync
+// if a track is playing (and the crossfade is on) it fades into the new one
+function goToTrack(track, autoplay) {
+  if (!track) return;
+
+  audio.loadSoundFile(track.src, autoplay);
+  showTrack(track);
+
+  if (autoplay) playCurrentTrack();
+}
+
+// everything that goes with a new track, apart from loading it
+function showTrack(track) {
+  if (!track) return;
+
+  document.querySelector("#trackSelect").selectedIndex = playlist.getCurrentIndex();
+  loadTrackOverview(track);
+  // the old track's tempo (and loudness) has nothing to do with the new one
+  canvas.getBeatDetector().reset();
+  canvas.getLoudnessMeter().resetIntegrated();
+  // and the new track's cues play from the look on screen now
+  cues.loadCues(track.cues || (track.cues = []));
+  updateNextTrack();
+}
+
+// lets audio.js load the next track ahead of time, for crossfades and gapless playback
+function updateNextTrack() {
+  let track = playlist.peekNext();
+  audio.setNextTrack(track ? track.src : undefined);
+}
+
+function playCurrentTrack() {
+  // check if context is in suspended state (autoplay policy)
+  if (audio.audioCtx.state == "suspended") {
+    audio.audioCtx.resume();
+  }
+
+  audio.playCurrentSound().catch(e => {
+    // the browser may block playback that was not started by a click,
+    // and a track that failed to load is reported by the onerror handler
+    if (e.name == "NotAllowedError") showMessage("Press Play to start the track.");
+  });
+}
+
+// switches between playing files and visualizing a live input (microphone or line-in)
+function setSourceMode(mode) {
+  let inputSelect = document.querySelector("#inputSelect");
+
+  if (mode == audio.SOURCE_MODES.live) {
+    if (audio.audioCtx.state == "suspended") {
+      audio.audioCtx.resume();
+    }
+
+    audio.startLiveInput(null, inputSelect.value).then(() => {
+      setPlaybackControlsDisabled(true);
+      // there is no track to show
+      overview.clearOverview();
+      listInputDevices();
+    }).catch(e => {
+      showMessage(`Could not open the live input: ${e.message}`);
+      document.querySelector("#fileSourceRB").checked = true;
+    });
+  }
+  else {
+    audio.stopLiveInput();
+    setPlaybackControlsDisabled(false);
+    let track = playlist.getCurrentTrack();
+    if (track) loadTrackOverview(track);
+    document.querySelector("#fileSourceRB").checked = true;
+  }
+}
+
+// the file-only controls don't mean anything while the live input is on
+function setPlaybackControlsDisabled(disabled) {
+  for (let id of ["#prevButton", "#playButton", "#nextButton", "#trackSelect"]) {
+    document.querySelector(id).disabled = disabled;
+  }
+  document.querySelector("#inputSelect").disabled = !disabled;
+}
+
+// device names are only available once the user has allowed access, so we fill this in after
+function listInputDevices() {
+  let inputSelect = document.querySelector("#inputSelect");
+
+  navigator.mediaDevices.enumerateDevices().then(devices => {
+    let selected = inputSelect.value;
+    inputSelect.innerHTML = "";
+
+    for (let device of devices.filter(device => device.kind == "audioinput")) {
+      let option = document.createElement("option");
+      option.value = device.deviceId;
+      option.text = device.label || `Input ${inputSelect.options.length + 1}`;
+      inputSelect.appendChild(option);
+    }
+    if (selected) inputSelect.value = selected;
+  });
+}
+
+// formats a number of seconds as mm:ss
+function formatTime(time) {
+  let minutes = Math.floor(time / 60).toString().padStart(2, "0");
+  let seconds = Math.floor(time % 60).toString().padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+function showMessage(text) {
+  let message = document.querySelector("#message");
+  message.textContent = text;
+
+  clearTimeout(messageTimeout);
+  messageTimeout = setTimeout(() => message.textContent = "", 5000);
+}
+
+// the render clock for the live canvas - see canvas.draw()
+function createClock() {
+  return {
+    time: performance.now() / 1000,
+    currentTime: audio.element.currentTime,
+    duration: audio.hasDuration() ? audio.element.duration : NaN,
+    now: new Date(),
+    track: audio.getSourceMode() == audio.SOURCE_MODES.file ? playlist.getCurrentTrack() : undefined
+  };
+}
 
 function loop() {
   /* NOTE: This is temporary testing code that we will delete in Part II */
   requestAnimationFrame(loop);
-  let minutes = Math.floor(audio.element.currentTime/60).toString().padStart(2, "0");
-  let seconds = Math.floor(audio.element.currentTime%60).toString().padStart(2, "0");
-  document.querySelector("#progress").innerHTML = `${minutes}:${seconds}`;
-  canvas.draw(drawParams, waveformHeight);
+  let progress = "LIVE";
+  if (replay) {
+    progress = `REPLAY ${formatTime((performance.now() / 1000 - replayStart) % Math.max(replay.duration, .001))}`;
+  }
+  else if (audio.getSourceMode() == audio.SOURCE_MODES.file) {
+    progress = formatTime(audio.element.currentTime);
+    if (audio.hasDuration()) progress += ` / ${formatTime(audio.element.duration)}`;
+  }
+  document.querySelector("#progress").innerHTML = progress;
+
+  if (recorder.isRecording()) {
+    document.querySelector("#recordTime").innerHTML = formatTime(recorder.getElapsedTime());
+  }
+
+  // show the tempo and how sure the beat detector is about it
+  let beatDetector = canvas.getBeatDetector();
+  let bpm = beatDetector.getBPM() > 0 ? `${beatDetector.getBPM()} (${Math.round(beatDetector.getConfidence() * 100)}%)` : "--";
+  document.querySelector("#bpm").innerHTML = `BPM: ${bpm}`;
+  let clock = replay ? createReplayClock() : createClock();
+  // the cues follow the track, so they sit out live input and replays
+  if (!replay && audio.getSourceMode() == audio.SOURCE_MODES.file) cues.update(clock.currentTime, beatDetector);
+  canvas.draw(clock);
+  overview.drawOverview();
+  outputController.update(clock);
+  document.querySelector("#outputStatus").innerHTML = outputController.isConnected() ? "Output window connected" : "";
+  document.querySelector("#flashStatus").innerHTML = canvas.getFlashGuard().isLimiting(clock.time) ? "Holding back flashing" : "";
+
+  if (currentCapture) {
+    currentCapture.addFrame(clock);
+    document.querySelector("#captureFrames").innerHTML = `${currentCapture.getFrameCount()} frames`;
+  }
 }
 
 export { init };
\ No newline at end of file
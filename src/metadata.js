@@ -0,0 +1,365 @@
+/*
+    metadata.js reads the tags that are embedded in audio files:
+      - ID3v2 (v2.2, v2.3 and v2.4) at the start of MP3s
+      - Vorbis comments in FLAC files, and in OGG files (Vorbis or Opus)
+      - the embedded cover art of all three (APIC/PIC frames, FLAC PICTURE blocks and
+        METADATA_BLOCK_PICTURE comments)
+
+    readMetadata() takes a File/Blob or a URL and resolves with { title, artist, album, picture }
+    where any of them can be missing - picture is a Blob of the image.
+    Only the start of the file is read, URLs are fetched with a Range header where the server allows it.
+*/
+
+// how much of an OGG file we look through for the comment header (cover art can make it big)
+const OGG_READ_LIMIT = 4 * 1024 * 1024;
+
+// ID3v2 picture types and Vorbis/FLAC picture types are the same list - 3 is the front cover
+const FRONT_COVER = 3;
+
+// ID3 frame IDs for the fields we want, v2.2 used 3 letter IDs
+const ID3_FRAMES = Object.freeze({
+    TIT2: "title", TT2: "title",
+    TPE1: "artist", TP1: "artist",
+    TALB: "album", TAL: "album"
+});
+
+const latin1Decoder = new TextDecoder("latin1");
+const utf8Decoder = new TextDecoder("utf-8");
+
+function readMetadata(source) {
+    let reader = createReader(source);
+
+    return reader.read(0, 12).then(header => {
+        let magic = latin1Decoder.decode(header.subarray(0, 4));
+
+        if (magic.startsWith("ID3")) return readID3(reader, header);
+        if (magic == "fLaC") return readFLAC(reader);
+        if (magic == "OggS") return reader.read(0, OGG_READ_LIMIT).then(readOgg);
+
+        // RIFF/WAV and anything else - nothing we understand
+        return {};
+    });
+}
+
+// read(start, length) resolves with a Uint8Array, shorter than asked for at the end of the file
+function createReader(source) {
+    if (source instanceof Blob) {
+        return {
+            read: (start, length) => source.slice(start, start + length).arrayBuffer().then(buffer => new Uint8Array(buffer))
+        };
+    }
+
+    return {
+        read: (start, length) => fetch(source, { headers: { Range: `bytes=${start}-${start + length - 1}` } })
+            .then(response => {
+                if (!response.ok) throw new Error(`Couldn't load ${source}`);
+                return response.arrayBuffer().then(buffer => {
+                    let bytes = new Uint8Array(buffer);
+                    // a server that ignores Range sends the whole file
+                    return response.status == 206 ? bytes : bytes.subarray(start, start + length);
+                });
+            })
+    };
+}
+
+// ----- ID3v2 -----
+
+function readID3(reader, header) {
+    let version = header[3];
+    let flags = header[5];
+    let size = readSyncsafe(header, 6);
+
+    return reader.read(10, size).then(tag => {
+        // v2.3 and older unsynchronise the whole tag, v2.4 does it per frame
+        if (flags & 0x80 && version < 4) tag = removeUnsync(tag);
+
+        let offset = 0;
+        if (flags & 0x40 && version >= 3) {
+            // skip the extended header - its size includes itself in v2.4 but not in v2.3
+            offset = version == 4 ? readSyncsafe(tag, 0) : readUint32(tag, 0) + 4;
+        }
+
+        return parseID3Frames(tag, offset, version);
+    });
+}
+
+function parseID3Frames(tag, offset, version) {
+    let info = {};
+    let idLength = version == 2 ? 3 : 4;
+    let headerLength = version == 2 ? 6 : 10;
+
+    while (offset + headerLength <= tag.length) {
+        let id = latin1Decoder.decode(tag.subarray(offset, offset + idLength));
+        // the rest of the tag is padding
+        if (id.charCodeAt(0) == 0) break;
+
+        let size;
+        if (version == 2) size = (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5];
+        else if (version == 4) size = readSyncsafe(tag, offset + 4);
+        else size = readUint32(tag, offset + 4);
+
+        let formatFlags = version == 2 ? 0 : tag[offset + 9];
+        let data = tag.subarray(offset + headerLength, offset + headerLength + size);
+        offset += headerLength + size;
+
+        if (version == 4) {
+            // a data length indicator comes first when this flag is set, then the data may be unsynchronised
+            if (formatFlags & 0x01) data = data.subarray(4);
+            if (formatFlags & 0x02) data = removeUnsync(data);
+        }
+
+        if (ID3_FRAMES[id] && !info[ID3_FRAMES[id]]) {
+            info[ID3_FRAMES[id]] = readID3Text(data);
+        }
+        else if (id == "APIC" || id == "PIC") {
+            addPicture(info, readID3Picture(data, id == "PIC"));
+        }
+    }
+
+    return finish(info);
+}
+
+// text frames are an encoding byte and then the text (v2.4 can hold several values split by nulls)
+function readID3Text(data) {
+    return decodeID3String(data.subarray(1), data[0]).split("\0")[0].trim();
+}
+
+// APIC: encoding, MIME type, picture type, description, image
+// PIC (v2.2): encoding, 3 letter format ("JPG"/"PNG"), picture type, description, image
+function readID3Picture(data, isV22) {
+    let encoding = data[0];
+    let offset = 1;
+    let mimeType;
+
+    if (isV22) {
+        mimeType = latin1Decoder.decode(data.subarray(1, 4));
+        offset = 4;
+    }
+    else {
+        let end = data.indexOf(0, offset);
+        if (end == -1) return;
+        mimeType = latin1Decoder.decode(data.subarray(offset, end));
+        offset = end + 1;
+    }
+
+    // v2.2 (and some taggers writing v2.3) just say "JPG" or "PNG"
+    if (!mimeType) mimeType = "image/jpeg";
+    else if (!mimeType.includes("/")) mimeType = `image/${mimeType.toLowerCase() == "jpg" ? "jpeg" : mimeType.toLowerCase()}`;
+
+    let type = data[offset];
+    offset = skipID3String(data, offset + 1, encoding);
+
+    return { type, blob: new Blob([data.subarray(offset)], { type: mimeType }) };
+}
+
+// finds the end of a null terminated string - UTF-16 strings end with two null bytes
+function skipID3String(data, offset, encoding) {
+    if (encoding == 1 || encoding == 2) {
+        while (offset + 1 < data.length && (data[offset] != 0 || data[offset + 1] != 0)) offset += 2;
+        return offset + 2;
+    }
+
+    let end = data.indexOf(0, offset);
+    return end == -1 ? data.length : end + 1;
+}
+
+// 0 = ISO-8859-1, 1 = UTF-16 with a byte order mark, 2 = UTF-16BE, 3 = UTF-8
+function decodeID3String(bytes, encoding) {
+    switch (encoding) {
+        case 1:
+            if (bytes[0] == 0xFE && bytes[1] == 0xFF) return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+            return new TextDecoder("utf-16le").decode(bytes[0] == 0xFF && bytes[1] == 0xFE ? bytes.subarray(2) : bytes);
+        case 2:
+            return new TextDecoder("utf-16be").decode(bytes);
+        case 3:
+            return utf8Decoder.decode(bytes);
+        default:
+            return latin1Decoder.decode(bytes);
+    }
+}
+
+// unsynchronisation puts a 0x00 after every 0xFF, this takes them back out
+function removeUnsync(bytes) {
+    let result = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        result[length++] = bytes[i];
+        if (bytes[i] == 0xFF && bytes[i + 1] == 0x00) i++;
+    }
+    return result.subarray(0, length);
+}
+
+// ----- FLAC -----
+
+// the metadata blocks come straight after "fLaC", each with a 4 byte header:
+// 1 bit "last block", 7 bits type, 24 bits length
+function readFLAC(reader) {
+    let info = {};
+
+    let readBlock = offset => reader.read(offset, 4).then(header => {
+        if (header.length < 4) return finish(info);
+
+        let isLast = header[0] & 0x80;
+        let type = header[0] & 0x7F;
+        let length = (header[1] << 16) | (header[2] << 8) | header[3];
+        let next = () => isLast ? finish(info) : readBlock(offset + 4 + length);
+
+        // 4 = VORBIS_COMMENT, 6 = PICTURE - everything else is skipped without reading it
+        if (type != 4 && type != 6) return next();
+
+        return reader.read(offset + 4, length).then(data => {
+            if (type == 4) {
+                // the comments can carry a picture of their own, the better of the two is kept
+                let comments = readVorbisComments(data, 0);
+                addPicture(comments, info.picture);
+                info = comments;
+            }
+            else {
+                addPicture(info, readFLACPicture(data));
+            }
+            return next();
+        });
+    });
+
+    return readBlock(4);
+}
+
+// the FLAC picture structure - also what OGG files base64 into METADATA_BLOCK_PICTURE
+// everything is big endian: type, MIME length + MIME, description length + description,
+// width, height, depth, colors, data length + data
+function readFLACPicture(data) {
+    let type = readUint32(data, 0);
+    let offset = 4;
+    let mimeLength = readUint32(data, offset);
+    let mimeType = latin1Decoder.decode(data.subarray(offset + 4, offset + 4 + mimeLength));
+    offset += 4 + mimeLength;
+    offset += 4 + readUint32(data, offset);     // description
+    offset += 16;                               // width, height, depth, colors
+    let dataLength = readUint32(data, offset);
+    offset += 4;
+
+    // "-->" means the picture is a link, not the image itself
+    if (mimeType == "-->" || offset + dataLength > data.length) return;
+    return { type, blob: new Blob([data.subarray(offset, offset + dataLength)], { type: mimeType || "image/jpeg" }) };
+}
+
+// ----- OGG -----
+
+// OGG is a series of pages, and the packets we want can be spread across several of them.
+// The second packet of the first stream holds the comments - "\x03vorbis" for Vorbis, "OpusTags" for Opus.
+function readOgg(bytes) {
+    let packets = [];
+    let current = [];
+    let serial;
+    let offset = 0;
+
+    while (packets.length < 2 && offset + 27 <= bytes.length) {
+        if (latin1Decoder.decode(bytes.subarray(offset, offset + 4)) != "OggS") break;
+
+        let pageSerial = readUint32LE(bytes, offset + 14);
+        let segmentCount = bytes[offset + 26];
+        let segmentTable = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+        let dataOffset = offset + 27 + segmentCount;
+
+        if (serial == undefined) serial = pageSerial;
+
+        for (let lacing of segmentTable) {
+            // only look at the first stream, an OGG file can interleave several
+            if (pageSerial == serial) {
+                current.push(bytes.subarray(dataOffset, dataOffset + lacing));
+                // a lacing value under 255 ends the packet
+                if (lacing < 255) {
+                    packets.push(concat(current));
+                    current = [];
+                }
+            }
+            dataOffset += lacing;
+        }
+        offset = dataOffset;
+    }
+
+    let comments = packets[1];
+    if (!comments) return {};
+
+    let header = latin1Decoder.decode(comments.subarray(0, 8));
+    if (header.startsWith("\x03vorbis")) return finish(readVorbisComments(comments, 7));
+    if (header == "OpusTags") return finish(readVorbisComments(comments, 8));
+    return {};
+}
+
+// ----- Vorbis comments -----
+
+// little endian: vendor length + vendor, comment count, then length + "FIELD=value" for each comment
+function readVorbisComments(data, offset) {
+    let info = {};
+    offset += 4 + readUint32LE(data, offset);
+    let count = readUint32LE(data, offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+        let length = readUint32LE(data, offset);
+        let comment = utf8Decoder.decode(data.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+
+        let equals = comment.indexOf("=");
+        if (equals == -1) continue;
+        let field = comment.slice(0, equals).toUpperCase();
+        let value = comment.slice(equals + 1);
+
+        if (field == "TITLE" && !info.title) info.title = value.trim();
+        else if (field == "ARTIST" && !info.artist) info.artist = value.trim();
+        else if (field == "ALBUM" && !info.album) info.album = value.trim();
+        else if (field == "METADATA_BLOCK_PICTURE") {
+            try {
+                addPicture(info, readFLACPicture(Uint8Array.from(atob(value), c => c.charCodeAt(0))));
+            }
+            catch (e) {
+                // a broken picture shouldn't cost us the title and artist
+            }
+        }
+    }
+
+    return info;
+}
+
+// ----- helpers -----
+
+// keep the front cover if there is one, otherwise whatever comes first
+function addPicture(info, picture) {
+    if (picture && (!info.picture || (picture.type == FRONT_COVER && info.picture.type != FRONT_COVER))) info.picture = picture;
+}
+
+// swaps the internal { type, blob } picture for just the Blob and drops empty fields
+function finish(info) {
+    let result = {};
+    if (info.title) result.title = info.title;
+    if (info.artist) result.artist = info.artist;
+    if (info.album) result.album = info.album;
+    if (info.picture && info.picture.blob.size > 0) result.picture = info.picture.blob;
+    return result;
+}
+
+// 4 bytes with the top bit of each one unused
+function readSyncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readUint32LE(bytes, offset) {
+    return ((bytes[offset + 3] << 24) | (bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset]) >>> 0;
+}
+
+function concat(arrays) {
+    let result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (let array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+export { readMetadata };
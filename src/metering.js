@@ -0,0 +1,193 @@
+/*
+    metering.js measures how loud the output is, for rough mix checks:
+      - peak and RMS of each channel, in dBFS
+      - loudness the EBU R128 / ITU-R BS.1770 way, in LUFS: momentary (400 ms), short-term (3 s)
+        and integrated (everything since the last reset, gated so quiet parts don't drag it down)
+
+    It works on float time-domain data (getFloatTimeDomainData()) from one analyser per channel.
+    The analysers only hold the last fftSize samples, so rather than filtering a continuous stream
+    we take a 400 ms block every 100 ms and K-weight it on its own - the samples in front of the
+    block (the rest of the analyser's buffer) are run through the filters first, to settle them.
+    Short-term is the average of the last 3 seconds of blocks. It is close, not certified.
+*/
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    blockSeconds: .4,       // the momentary window
+    stepSeconds: .1,        // a new block every 100 ms - 75% overlap, like the standard says
+    shortTermSeconds: 3,
+    rmsSeconds: .3,         // the window for peak and RMS
+    absoluteGate: -70,      // LUFS - blocks quieter than this are silence, they don't count
+    relativeGate: -10       // LU under the ungated loudness - the quiet parts don't count either
+});
+
+// the analysers need at least blockSeconds of samples, 32768 (the most an AnalyserNode holds) leaves
+// plenty in front of the block at 44.1/48 kHz
+const ANALYSER_SIZE = 32768;
+
+// 0-1 amplitude -> dBFS
+const toDecibels = value => value > 0 ? 20 * Math.log10(value) : -Infinity;
+
+// mean square (of K-weighted samples, summed over channels) -> LUFS
+const toLUFS = energy => energy > 0 ? -.691 + 10 * Math.log10(energy) : -Infinity;
+
+// The two filters of the K-weighting, worked out for any sample rate (the standard only gives
+// them for 48 kHz): a high shelf that adds 4 dB over ~1.7 kHz (the head), then a high-pass at
+// ~38 Hz (we hardly hear the deep lows).
+// Each is { b0, b1, b2, a1, a2 } for a biquad, a0 is 1.
+function getKWeighting(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = .7071752369554196;
+    let Vh = Math.pow(10, 3.999843853973347 / 20);
+    let Vb = Math.pow(Vh, .4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    let shelf = {
+        b0: (Vh + Vb * K / Q + K * K) / a0,
+        b1: 2 * (K * K - Vh) / a0,
+        b2: (Vh - Vb * K / Q + K * K) / a0,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = .5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    let highPass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    return [shelf, highPass];
+}
+
+// runs the samples through a biquad (from silence) into output, which can be the same array
+function applyBiquad(samples, output, filter) {
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        let x = samples[i];
+        let y = filter.b0 * x + filter.b1 * x1 + filter.b2 * x2 - filter.a1 * y1 - filter.a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+    }
+}
+
+// the mean of the squares of samples[start] up to (not including) samples[end]
+function getMeanSquare(samples, start = 0, end = samples.length) {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    return end > start ? sum / (end - start) : 0;
+}
+
+function getPeak(samples, start = 0, end = samples.length) {
+    let peak = 0;
+    for (let i = start; i < end; i++) {
+        let value = Math.abs(samples[i]);
+        if (value > peak) peak = value;
+    }
+    return peak;
+}
+
+// Integrated loudness of a list of block energies - the two gates from BS.1770:
+// first the blocks under the absolute gate go, then the ones more than 10 LU under what is left.
+function getIntegratedLoudness(energies) {
+    let absoluteGate = Math.pow(10, (DEFAULTS.absoluteGate + .691) / 10);
+    let loud = energies.filter(energy => energy > absoluteGate);
+    if (loud.length == 0) return -Infinity;
+
+    let relativeGate = toLUFS(loud.reduce((sum, energy) => sum + energy, 0) / loud.length) + DEFAULTS.relativeGate;
+    let gated = loud.filter(energy => toLUFS(energy) > relativeGate);
+    if (gated.length == 0) return -Infinity;
+
+    return toLUFS(gated.reduce((sum, energy) => sum + energy, 0) / gated.length);
+}
+
+// A meter keeps the blocks it has measured. Call update() every frame with the channels' float
+// time-domain data and the render clock's time, and read the levels with getReadings().
+function createLoudnessMeter(sampleRate) {
+    let kWeighting = getKWeighting(sampleRate);
+    let filtered = new Float32Array(0);
+    let recentBlocks = [];      // energies of the blocks in the short-term window
+    let allBlocks = [];         // every block since the last reset, for the integrated loudness
+    let lastBlockTime;
+    let readings = createEmptyReadings(0);
+
+    // channels is an array of Float32Arrays, one per channel, the newest sample last
+    function update(channels, time) {
+        if (readings.peak.length != channels.length) readings = createEmptyReadings(channels.length);
+
+        // peak and RMS every frame, from the end of the buffer
+        channels.forEach((samples, i) => {
+            let start = Math.max(0, samples.length - Math.round(DEFAULTS.rmsSeconds * sampleRate));
+            readings.peak[i] = toDecibels(getPeak(samples, start));
+            readings.rms[i] = toDecibels(Math.sqrt(getMeanSquare(samples, start)));
+        });
+
+        // time going backwards is a new render, or a seek in a replay - start over
+        if (lastBlockTime != undefined && time < lastBlockTime) reset();
+        if (lastBlockTime != undefined && time - lastBlockTime < DEFAULTS.stepSeconds) return;
+        lastBlockTime = time;
+
+        let energy = 0;
+        for (let samples of channels) energy += getBlockEnergy(samples);
+
+        recentBlocks.push(energy);
+        let shortTermBlocks = Math.round(DEFAULTS.shortTermSeconds / DEFAULTS.stepSeconds);
+        if (recentBlocks.length > shortTermBlocks) recentBlocks.shift();
+        allBlocks.push(energy);
+
+        readings.momentary = toLUFS(energy);
+        readings.shortTerm = toLUFS(recentBlocks.reduce((sum, value) => sum + value, 0) / recentBlocks.length);
+        readings.integrated = getIntegratedLoudness(allBlocks);
+    }
+
+    // the mean square of the last blockSeconds of one channel, K-weighted
+    function getBlockEnergy(samples) {
+        if (filtered.length != samples.length) filtered = new Float32Array(samples.length);
+        applyBiquad(samples, filtered, kWeighting[0]);
+        applyBiquad(filtered, filtered, kWeighting[1]);
+
+        let blockLength = Math.min(samples.length, Math.round(DEFAULTS.blockSeconds * sampleRate));
+        return getMeanSquare(filtered, samples.length - blockLength);
+    }
+
+    // starts the integrated loudness over (e.g. for a new track)
+    function resetIntegrated() {
+        allBlocks = [];
+        readings.integrated = -Infinity;
+    }
+
+    function reset() {
+        recentBlocks = [];
+        lastBlockTime = undefined;
+        resetIntegrated();
+    }
+
+    // { peak: [dBFS per channel], rms: [dBFS per channel], momentary, shortTerm, integrated (LUFS) }
+    // everything is -Infinity until there is something to measure
+    function getReadings() {
+        return readings;
+    }
+
+    return { update, getReadings, resetIntegrated, reset };
+}
+
+function createEmptyReadings(channelCount) {
+    return {
+        peak: new Array(channelCount).fill(-Infinity),
+        rms: new Array(channelCount).fill(-Infinity),
+        momentary: -Infinity,
+        shortTerm: -Infinity,
+        integrated: -Infinity
+    };
+}
+
+export {
+    DEFAULTS, ANALYSER_SIZE, toDecibels, toLUFS, getKWeighting, applyBiquad, getMeanSquare, getPeak,
+    getIntegratedLoudness, createLoudnessMeter
+};
@@ -0,0 +1,152 @@
+/*
+    offline.js renders a whole track to numbered PNG frames, without playing it.
+
+      - the track is decoded with decodeAudioData()
+      - an offline analyser (fft.js) works out what the live AnalyserNode would have seen at each frame
+      - each frame is drawn with the same renderer as the live canvas (canvas.createRenderer),
+        on a canvas of its own, with a render clock that steps exactly 1/frameRate each frame
+      - so nothing depends on how fast this machine is - no frames get dropped
+*/
+
+import * as canvas from './canvas.js';
+import * as fft from './fft.js';
+import * as zip from './zip.js';
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    frameRate: 30,
+    width: 800,
+    height: 400
+});
+
+// how the frames are handed over - one .zip, or PNG files written into a folder the user picks
+const OUTPUT_FORMATS = Object.freeze({
+    zip: "zip",
+    folder: "folder"
+});
+
+let cancelled = false;
+
+// not every browser lets a page write into a folder
+function canWriteToFolder() {
+    return typeof window.showDirectoryPicker == "function";
+}
+
+// decodes the whole track into an AudioBuffer at sampleRate (the overview uses this too)
+function decodeTrack(src, sampleRate) {
+    // a 1 sample context is enough for decoding, and it resamples to the rate we ask for
+    let decoder = new OfflineAudioContext(2, 1, sampleRate);
+    return fetch(src)
+        .then(response => {
+            if (!response.ok) throw new Error(`Could not load the track (${response.status})`);
+            return response.arrayBuffer();
+        })
+        .then(arrayBuffer => decoder.decodeAudioData(arrayBuffer));
+}
+
+function canvasToPNG(canvasElement) {
+    return new Promise(resolve => canvasElement.toBlob(resolve, "image/png"))
+        .then(blob => blob.arrayBuffer())
+        .then(buffer => new Uint8Array(buffer));
+}
+
+// frame_00001.png, frame_00002.png ...
+function getFrameName(index, total) {
+    return `frame_${String(index + 1).padStart(Math.max(5, String(total).length), "0")}.png`;
+}
+
+// options:
+//   src - the track to render (a URL or object URL)
+//   analyser - the live AnalyserNode, so we copy its fftSize, smoothing and decibel range
+//   channelAnalysers - the live [left, right] analysers, copied the same way (optional)
+//   frameRate, width, height, format - see DEFAULTS and OUTPUT_FORMATS
+//   startDate - what the date layer shows at the start of the track
+//   track - the playlist track, for the track info layer
+//   onProgress(framesDone, totalFrames)
+// resolves with a zip Blob (OUTPUT_FORMATS.zip) or nothing (OUTPUT_FORMATS.folder)
+function renderTrack(options) {
+    let settings = Object.assign({}, DEFAULTS, options);
+    let directory;
+    cancelled = false;
+
+    // the folder has to be picked right away, while we still have the user's click
+    let pickFolder = settings.format == OUTPUT_FORMATS.folder
+        ? window.showDirectoryPicker({ mode: "readwrite" }).then(handle => directory = handle)
+        : Promise.resolve();
+
+    return pickFolder
+        .then(() => decodeTrack(settings.src, settings.analyser.context.sampleRate))
+        .then(audioBuffer => {
+            let channels = [];
+            for (let i = 0; i < audioBuffer.numberOfChannels; i++) channels.push(audioBuffer.getChannelData(i));
+
+            let analyser = copyAnalyser(settings.analyser, channels, audioBuffer.sampleRate);
+
+            // a mono track has the same audio on the left and the right
+            let channelAnalysers = (settings.channelAnalysers || []).map((liveAnalyser, i) => {
+                return copyAnalyser(liveAnalyser, [channels[Math.min(i, channels.length - 1)]], audioBuffer.sampleRate);
+            });
+
+            let canvasElement = document.createElement("canvas");
+            canvasElement.width = settings.width;
+            canvasElement.height = settings.height;
+            let renderer = canvas.createRenderer(canvasElement, analyser, { channelAnalysers });
+
+            let totalFrames = Math.ceil(audioBuffer.duration * settings.frameRate);
+            let startDate = settings.startDate || new Date();
+            let zipWriter = directory ? undefined : zip.createZipWriter();
+
+            // one frame at a time, waiting on toBlob() gives the page a chance to breathe
+            let renderFrame = index => {
+                if (cancelled) throw new Error("Render cancelled");
+                if (index >= totalFrames) return;
+
+                let time = index / settings.frameRate;
+                analyser.setTime(time);
+                channelAnalysers.forEach(channelAnalyser => channelAnalyser.setTime(time));
+                renderer.draw({
+                    time,
+                    currentTime: time,
+                    duration: audioBuffer.duration,
+                    now: new Date(startDate.getTime() + time * 1000),
+                    track: settings.track
+                });
+
+                return canvasToPNG(canvasElement)
+                    .then(data => {
+                        let name = getFrameName(index, totalFrames);
+                        if (directory) return writeFile(directory, name, data);
+                        zipWriter.addFile(name, data);
+                    })
+                    .then(() => {
+                        if (settings.onProgress) settings.onProgress(index + 1, totalFrames);
+                        return renderFrame(index + 1);
+                    });
+            };
+
+            return renderFrame(0).then(() => directory ? undefined : zipWriter.finish());
+        });
+}
+
+// an offline analyser of the channels that is set up like the live one
+function copyAnalyser(liveAnalyser, channels, sampleRate) {
+    return fft.createOfflineAnalyser(channels, sampleRate, {
+        fftSize: liveAnalyser.fftSize,
+        smoothingTimeConstant: liveAnalyser.smoothingTimeConstant,
+        minDecibels: liveAnalyser.minDecibels,
+        maxDecibels: liveAnalyser.maxDecibels
+    });
+}
+
+function writeFile(directory, name, data) {
+    return directory.getFileHandle(name, { create: true })
+        .then(handle => handle.createWritable())
+        .then(writable => writable.write(data).then(() => writable.close()));
+}
+
+// stops a render in progress - renderTrack() rejects with "Render cancelled"
+function cancelRender() {
+    cancelled = true;
+}
+
+export { DEFAULTS, OUTPUT_FORMATS, canWriteToFolder, decodeTrack, renderTrack, cancelRender };
@@ -0,0 +1,90 @@
+/*
+  output.js runs the pop-out output window (output.html) - just the visualizer, for a projector.
+  It has no audio and no controls: the control panel sends it the analyser data, the render
+  clock and the look over a BroadcastChannel (see outputLink.js), and it draws what it is sent.
+  Double-click (or press F) to go fullscreen.
+*/
+
+import * as utils from './utils.js';
+import * as canvas from './canvas.js';
+import * as layers from './layers.js';
+import * as filters from './filters.js';
+import * as palette from './palette.js';
+import * as analysis from './analysis.js';
+import * as presets from './presets.js';
+import * as safety from './safety.js';
+import * as outputLink from './outputLink.js';
+
+let canvasElement;
+let drawing = false;    // the canvas is set up once the first frame is in
+let clock;              // the render clock of a frame that hasn't been drawn yet
+
+function init() {
+  canvasElement = document.querySelector("canvas");
+  setupSections();
+
+  outputLink.createOutputReceiver({
+    onSource: replay => {
+      if (drawing) {
+        canvas.setSource(replay.analyser, replay.channelAnalysers);
+        return;
+      }
+      canvas.setupCanvas(canvasElement, replay.analyser, { channelAnalysers: replay.channelAnalysers });
+      drawing = true;
+    },
+    onState: (state, fade) => {
+      if (drawing) canvas.startSceneFade(fade);
+      presets.applyState(state);
+    },
+    onFrame: frameClock => clock = frameClock,
+    onConnectionChange: connected => document.querySelector("#waiting").hidden = connected
+  });
+
+  // the whole window goes fullscreen, there is nothing else in it
+  canvasElement.ondblclick = e => utils.goFullscreen(document.documentElement);
+  document.onkeydown = e => {
+    if (e.key == "f" || e.key == "F") utils.goFullscreen(document.documentElement);
+  };
+
+  loop();
+}
+
+// the same sections the control panel registers (see setupPresets() in main.js) - only the ones
+// the output is sent, and the safeguards, which only the output treats as a section
+function setupSections() {
+  presets.registerSection("layers", {
+    get: () => layers.serializeStack(),
+    set: value => layers.loadStack(value)
+  });
+
+  presets.registerSection("filters", {
+    get: () => filters.filterStack.serialize(),
+    set: value => filters.loadPipeline(value)
+  });
+
+  presets.registerSection("palette", {
+    get: () => palette.getSettings(),
+    set: value => palette.setSettings(value)
+  });
+
+  presets.registerSection("analysis", {
+    get: () => analysis.getSettings(),
+    set: value => analysis.setSettings(value)
+  });
+
+  presets.registerSection("safety", {
+    get: () => safety.getSettings(),
+    set: value => safety.setSettings(value)
+  });
+}
+
+// each frame from the controller is drawn once - the beat detector would count a frame drawn twice twice
+function loop() {
+  requestAnimationFrame(loop);
+  if (!drawing || !clock) return;
+
+  canvas.draw(clock);
+  clock = undefined;
+}
+
+export { init };
@@ -0,0 +1,259 @@
+/*
+    outputLink.js connects the control panel (index.html) to output windows (output.html) over a
+    BroadcastChannel, so the visualizer can fill a projector while the controls stay on the laptop:
+      - the output window has no audio of its own - every frame the controller sends it the analyser
+        data (packed the way capture.js packs it) with the render clock, and it draws them with its
+        own renderer, just like a capture being replayed
+      - the look (the layers, filters, palette and analysis preset sections, see presets.js) is sent
+        whenever it changes, with the fade when a cue crossfades into it (see canvas.onSceneFade()),
+        and so are the photosensitivity safeguards (see safety.js) - the output follows the control panel
+      - either window can reload: a new output asks for everything, a new controller tells the
+        outputs to ask again, and an output that hears nothing for a while keeps asking
+      - the controller only sends frames while an output is there to hear them
+
+    The controller sends from its draw loop, so the output stops when the browser throttles the
+    control panel's tab - keep it visible (in a window of its own if need be).
+*/
+
+import * as capture from './capture.js';
+import * as presets from './presets.js';
+import * as layers from './layers.js';
+import * as filters from './filters.js';
+import * as palette from './palette.js';
+import * as analysis from './analysis.js';
+import * as safety from './safety.js';
+
+const CHANNEL_NAME = "audioVisualizer.output";
+const OUTPUT_URL = "output.html";
+const WINDOW_NAME = "audioVisualizerOutput";
+
+// here we are faking an enumeration
+const MESSAGES = Object.freeze({
+    connect: "connect",         // output -> controller: send me everything
+    ping: "ping",               // output -> controller: still here
+    controller: "controller",   // controller -> outputs: I have just started, connect again
+    setup: "setup",             // controller -> outputs: { header, state, track }
+    state: "state",             // controller -> outputs: { state, fade }
+    track: "track",             // controller -> outputs: { track }
+    frame: "frame"              // controller -> outputs: { frame, now }
+});
+
+// the preset sections that change what the output looks like - the audio settings stay behind
+const OUTPUT_SECTIONS = Object.freeze(["layers", "filters", "palette", "analysis"]);
+
+const PING_INTERVAL = 1;    // seconds between an output's pings
+const TIMEOUT = 3;          // seconds without hearing from the other side before it counts as gone
+
+const now = () => performance.now() / 1000;
+
+// opens the output window, or brings it to the front if it is open already
+// returns undefined if the browser blocked it
+function openOutputWindow() {
+    let outputWindow = window.open(OUTPUT_URL, WINDOW_NAME, "popup,width=960,height=540");
+    if (outputWindow) outputWindow.focus();
+    return outputWindow || undefined;
+}
+
+// the control panel's side - call update() every frame with the render clock, after drawing,
+// and setSource() whenever the canvas draws from other analysers (see canvas.setSource())
+function createOutputController(analyser, channelAnalysers = []) {
+    let channel = new BroadcastChannel(CHANNEL_NAME);
+    let header = capture.createHeader(analyser, channelAnalysers);
+    let lastHeard = -Infinity;
+    let needsSetup = false;
+    let pendingFade = 0;
+    let sentState;              // as JSON, so it is quick to compare
+    let sentTrack = {};
+    let stateChanged = true;    // the look is only captured again after one of the change hooks goes off
+
+    let markChanged = () => stateChanged = true;
+    layers.onStackChange(markChanged);
+    layers.onLayerEdit(markChanged);
+    filters.filterStack.onChange(markChanged);
+    filters.filterStack.onEdit(markChanged);
+    palette.onChange(markChanged);
+    analysis.onChange(markChanged);
+    safety.onChange(markChanged);
+
+    channel.onmessage = e => {
+        let message = e.data;
+        if (message.type == MESSAGES.connect) needsSetup = true;
+        if (message.type == MESSAGES.connect || message.type == MESSAGES.ping) lastHeard = now();
+    };
+
+    // any output that was waiting for us can connect now
+    channel.postMessage({ type: MESSAGES.controller });
+
+    function setSource(newAnalyser, newChannelAnalysers = []) {
+        analyser = newAnalyser;
+        channelAnalysers = newChannelAnalysers;
+        header = capture.createHeader(analyser, channelAnalysers);
+        needsSetup = true;
+    }
+
+    // the next change of look crossfades over duration seconds, instead of cutting
+    function fadeNextState(duration) {
+        pendingFade = duration;
+    }
+
+    function update(clock) {
+        let fade = pendingFade;
+        pendingFade = 0;
+        if (!isConnected()) return;
+
+        let state = sentState;
+        if (stateChanged || needsSetup) {
+            state = getOutputState();
+            stateChanged = false;
+        }
+        let track = getTrackInfo(clock.track);
+
+        if (needsSetup) {
+            needsSetup = false;
+            post({ type: MESSAGES.setup, header, state: JSON.parse(state), track });
+            sentState = state;
+            sentTrack = track;
+        }
+        else {
+            if (state != sentState) {
+                post({ type: MESSAGES.state, state: JSON.parse(state), fade });
+                sentState = state;
+            }
+            if (Object.keys(track).some(key => track[key] !== sentTrack[key])) {
+                post({ type: MESSAGES.track, track });
+                sentTrack = track;
+            }
+        }
+
+        post({ type: MESSAGES.frame, frame: capture.packFrame(analyser, channelAnalysers, clock), now: clock.now.getTime() });
+    }
+
+    // a track's cover (an ImageBitmap) won't go through in every browser - then it goes without
+    function post(message) {
+        try {
+            channel.postMessage(message);
+        }
+        catch (e) {
+            if (!message.track || !message.track.cover) throw e;
+            channel.postMessage(Object.assign({}, message, { track: Object.assign({}, message.track, { cover: undefined }) }));
+        }
+    }
+
+    function isConnected() {
+        return now() - lastHeard < TIMEOUT;
+    }
+
+    function close() {
+        channel.close();
+    }
+
+    return { update, setSource, fadeNextState, isConnected, close };
+}
+
+// the output window's side - the handlers are called as the controller's messages come in:
+//   onSource(replay) - draw from replay.analyser and replay.channelAnalysers from now on
+//   onState(state, fade) - a preset state (see presets.applyState()) to crossfade into over fade seconds
+//   onFrame(clock) - the analysers have the next frame, draw it with this render clock
+//   onConnectionChange(connected) - the controller has come or gone
+function createOutputReceiver(handlers) {
+    let channel = new BroadcastChannel(CHANNEL_NAME);
+    let header, frames, replay;
+    let track;
+    let lastHeard = -Infinity;
+    let connected = false;
+
+    channel.onmessage = e => {
+        let message = e.data;
+
+        if (message.type == MESSAGES.controller) {
+            channel.postMessage({ type: MESSAGES.connect });
+        }
+        else if (message.type == MESSAGES.setup) {
+            // the replay is made when the first frame comes in, the renderer needs one to size itself
+            header = message.header;
+            replay = undefined;
+            track = message.track;
+            handlers.onState(message.state, 0);
+        }
+        else if (message.type == MESSAGES.state) {
+            handlers.onState(message.state, message.fade);
+        }
+        else if (message.type == MESSAGES.track) {
+            track = message.track;
+        }
+        else if (message.type == MESSAGES.frame && header) {
+            receiveFrame(message);
+        }
+    };
+
+    function receiveFrame(message) {
+        let frame = capture.unpackFrame(message.frame, 0, header);
+        lastHeard = now();
+        setConnected(true);
+
+        if (!replay) {
+            frames = [frame];
+            replay = capture.createReplay(header, frames);
+            handlers.onSource(replay);
+        }
+        else {
+            frames[0] = frame;
+            replay.setFrame(0);
+        }
+
+        handlers.onFrame({
+            time: frame.time,
+            currentTime: frame.currentTime,
+            duration: frame.duration,
+            now: new Date(message.now),
+            track: track && track.title ? track : undefined
+        });
+    }
+
+    function setConnected(value) {
+        if (value == connected) return;
+        connected = value;
+        if (handlers.onConnectionChange) handlers.onConnectionChange(connected);
+    }
+
+    // keep the controller sending - and if it has gone quiet, keep asking until it (or a new one) answers
+    function check() {
+        if (now() - lastHeard > TIMEOUT) {
+            setConnected(false);
+            channel.postMessage({ type: MESSAGES.connect });
+        }
+        else {
+            channel.postMessage({ type: MESSAGES.ping });
+        }
+    }
+
+    channel.postMessage({ type: MESSAGES.connect });
+    let interval = setInterval(check, PING_INTERVAL * 1000);
+
+    function close() {
+        clearInterval(interval);
+        channel.close();
+    }
+
+    return { isConnected: () => connected, close };
+}
+
+// the look on screen now, as JSON - the safeguards go along as a section of their own, but they
+// aren't a preset section (a preset mustn't be able to turn them off)
+function getOutputState() {
+    let state = presets.captureState();
+    let sections = {};
+    for (let name of OUTPUT_SECTIONS) {
+        if (name in state.sections) sections[name] = state.sections[name];
+    }
+    sections.safety = safety.getSettings();
+    return JSON.stringify({ version: state.version, sections });
+}
+
+// the parts of a playlist track the layers use - the rest (the File and so on) stays behind
+function getTrackInfo(track) {
+    if (!track) return {};
+    return { title: track.title, artist: track.artist, album: track.album, cover: track.cover, lyrics: track.lyrics };
+}
+
+export { CHANNEL_NAME, OUTPUT_URL, MESSAGES, OUTPUT_SECTIONS, openOutputWindow, createOutputController, createOutputReceiver };
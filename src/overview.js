@@ -0,0 +1,147 @@
+/*
+    overview.js draws the whole track as a waveform in a strip under the canvas, and lets the user
+    click or drag along it to seek:
+      - the track is decoded once (see offline.decodeTrack()) and squeezed into PEAK_COUNT peaks,
+        which are kept on the track so going back to it doesn't decode it again
+      - the part that has been played is drawn in the highlight color, with a line for the playhead
+      - the parts the browser has downloaded (element.buffered) are shaded in behind the waveform
+    drawOverview() is called from the main loop, like canvas.draw()
+*/
+
+import * as audio from './audio.js';
+import * as offline from './offline.js';
+
+// how many peaks the track is squeezed into - more than the strip is ever wide, in pixels
+const PEAK_COUNT = 2000;
+
+// here we are faking an enumeration
+const COLORS = Object.freeze({
+    background: "#111",
+    buffered: "#2a2a2a",
+    waveform: "#666",
+    played: "#6f8fff",
+    playhead: "white"
+});
+
+let canvasElement, ctx;
+let peaks;              // the current track's peaks (0-1), undefined while decoding or in live mode
+let loadingSrc;         // so a slow decode doesn't overwrite the peaks of a track we've moved on from
+let dragging = false;
+
+function setupOverview(element) {
+    canvasElement = element;
+    ctx = canvasElement.getContext("2d");
+
+    // click to seek, and keep seeking while the pointer is held down
+    canvasElement.onpointerdown = e => {
+        if (!audio.hasDuration()) return;
+        dragging = true;
+        canvasElement.setPointerCapture(e.pointerId);
+        seekTo(e);
+    };
+    canvasElement.onpointermove = e => {
+        if (dragging) seekTo(e);
+    };
+    canvasElement.onpointerup = canvasElement.onpointercancel = e => {
+        dragging = false;
+    };
+}
+
+// x on the strip -> the same share of the track
+function seekTo(e) {
+    let rect = canvasElement.getBoundingClientRect();
+    let percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    audio.seek(percent * audio.element.duration);
+}
+
+// track is a playlist track - its peaks are worked out the first time and kept in track.peaks
+function loadOverview(track) {
+    peaks = track.peaks;
+    loadingSrc = track.src;
+    if (peaks) return Promise.resolve(peaks);
+
+    return offline.decodeTrack(track.src, audio.audioCtx.sampleRate)
+        .then(audioBuffer => {
+            track.peaks = getPeaks(audioBuffer, PEAK_COUNT);
+            if (loadingSrc == track.src) peaks = track.peaks;
+            return track.peaks;
+        });
+}
+
+// for the live input, which has no overview
+function clearOverview() {
+    peaks = undefined;
+    loadingSrc = undefined;
+}
+
+// the loudest sample (of any channel) in each of count equal slices of the track
+function getPeaks(audioBuffer, count) {
+    let result = new Float32Array(count);
+    let sliceLength = audioBuffer.length / count;
+
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        let data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < count; i++) {
+            let end = Math.min(data.length, Math.floor((i + 1) * sliceLength));
+            for (let j = Math.floor(i * sliceLength); j < end; j++) {
+                let value = Math.abs(data[j]);
+                if (value > result[i]) result[i] = value;
+            }
+        }
+    }
+
+    return result;
+}
+
+function drawOverview() {
+    // keep the bitmap the same size as the strip on screen, so it stays sharp
+    let width = Math.round(canvasElement.clientWidth * window.devicePixelRatio);
+    let height = Math.round(canvasElement.clientHeight * window.devicePixelRatio);
+    if (width == 0 || height == 0) return;
+    if (canvasElement.width != width || canvasElement.height != height) {
+        canvasElement.width = width;
+        canvasElement.height = height;
+    }
+
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+
+    if (!audio.hasDuration()) return;
+
+    let duration = audio.element.duration;
+    let played = audio.element.currentTime / duration * width;
+
+    // what the browser has downloaded so far
+    let buffered = audio.element.buffered;
+    ctx.fillStyle = COLORS.buffered;
+    for (let i = 0; i < buffered.length; i++) {
+        let start = buffered.start(i) / duration * width;
+        ctx.fillRect(start, 0, buffered.end(i) / duration * width - start, height);
+    }
+
+    if (peaks) {
+        // one bar per pixel, mirrored around the middle
+        let middle = height / 2;
+        for (let x = 0; x < width; x++) {
+            let peak = getPeakAt(x / width, (x + 1) / width);
+            ctx.fillStyle = x < played ? COLORS.played : COLORS.waveform;
+            ctx.fillRect(x, middle - peak * middle, 1, Math.max(1, peak * height));
+        }
+    }
+
+    ctx.fillStyle = COLORS.playhead;
+    ctx.fillRect(Math.round(played) - 1, 0, 2, height);
+}
+
+// the biggest peak between two points along the track (0-1)
+function getPeakAt(from, to) {
+    let start = Math.floor(from * peaks.length);
+    let end = Math.max(start + 1, Math.floor(to * peaks.length));
+    let value = 0;
+    for (let i = start; i < end && i < peaks.length; i++) {
+        if (peaks[i] > value) value = peaks[i];
+    }
+    return value;
+}
+
+export { PEAK_COUNT, setupOverview, loadOverview, clearOverview, getPeaks, drawOverview };
@@ -0,0 +1,163 @@
+/*
+    palette.js is where every layer gets its colors from.
+
+      - a theme is a list of color stops that loops around (the last stop blends back into the first)
+        plus a stroke color for lines and outlines
+      - "custom" is the user's own theme, edited with the palette editor (paletteEditor.js)
+      - the palette can turn with time or step along on every kick, see createPaletteClock()
+      - layers get a ready-to-use palette on every frame as frame.palette:
+          frame.palette.color(t, alpha) - the color t (0-1) of the way around the stops
+          frame.palette.rgb(t)          - the same color as [r, g, b]
+          frame.palette.stroke          - the color for lines
+*/
+
+import * as utils from './utils.js';
+
+// converts hsl (0-360, 0-100, 0-100) to "#rrggbb"
+const hslToHex = (hue, saturation, lightness) => {
+    saturation /= 100;
+    lightness /= 100;
+    let f = n => {
+        let k = (n + hue / 30) % 12;
+        let value = lightness - saturation * Math.min(lightness, 1 - lightness) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, "0");
+    };
+    return `#${f(0)}${f(8)}${f(4)}`;
+};
+
+// "#rrggbb" -> [r, g, b]
+const hexToRGB = hex => {
+    let value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// the rainbow is the same colors the bar circle always had - hsl(hue, 90%, 65%) all the way around
+const THEMES = Object.freeze({
+    rainbow: { label: "Rainbow", stops: [0, 60, 120, 180, 240, 300].map(hue => hslToHex(hue, 90, 65)), stroke: "#ffffff" },
+    classic: { label: "Classic", stops: ["#ff00ff", "#008000", "#ffff00", "#008000"], stroke: "#ffffff" },
+    monochrome: { label: "Monochrome", stops: ["#ffffff", "#8c8c8c", "#3a3a3a", "#8c8c8c"], stroke: "#ffffff" },
+    neon: { label: "Neon", stops: ["#ff00c8", "#00f0ff", "#39ff14", "#fff000"], stroke: "#00f0ff" },
+    pastel: { label: "Pastel", stops: ["#ffb3ba", "#ffdfba", "#ffffba", "#baffc9", "#bae1ff"], stroke: "#fff5e6" },
+    custom: { label: "Custom", stops: [], stroke: "#ffffff" }
+});
+
+const ROTATION_MODES = Object.freeze({
+    none: "none",
+    time: "time",
+    beat: "beat"
+});
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    theme: "rainbow",
+    customStops: ["#ff0080", "#8000ff", "#00c0ff"],
+    customStroke: "#ffffff",
+    rotation: ROTATION_MODES.none,
+    speed: .1              // turns per second for "time", the share of a turn per kick for "beat"
+});
+
+let settings = JSON.parse(JSON.stringify(DEFAULTS));
+let listeners = [];
+
+function getSettings() {
+    return JSON.parse(JSON.stringify(settings));
+}
+
+// takes any of the settings, e.g. setSettings({ theme: "neon" }) - unknown values are ignored
+function setSettings(newSettings) {
+    if (THEMES[newSettings.theme]) settings.theme = newSettings.theme;
+    if (ROTATION_MODES[newSettings.rotation]) settings.rotation = newSettings.rotation;
+    if (isFinite(newSettings.speed)) settings.speed = Number(newSettings.speed);
+    if (isHexColor(newSettings.customStroke)) settings.customStroke = newSettings.customStroke;
+    if (Array.isArray(newSettings.customStops)) {
+        let stops = newSettings.customStops.filter(isHexColor);
+        if (stops.length > 0) settings.customStops = stops;
+    }
+    notify();
+}
+
+function isHexColor(value) {
+    return typeof value == "string" && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// the color stops of the theme that is in use (or of other settings, from getSettings())
+function getStops(from = settings) {
+    return from.theme == "custom" ? from.customStops : THEMES[from.theme].stops;
+}
+
+function getStroke(from = settings) {
+    return from.theme == "custom" ? from.customStroke : THEMES[from.theme].stroke;
+}
+
+// called when the settings change, so the editor can redraw itself
+function onChange(callback) {
+    listeners.push(callback);
+}
+
+function notify() {
+    for (let listener of listeners) listener(getSettings());
+}
+
+// Each renderer has its own palette clock, so offline renders turn the palette the same way every time.
+// update() returns how far around (0-1) the palette has turned.
+function createPaletteClock() {
+    let offset = 0;
+    let beatTarget = 0;
+    let lastTime;
+
+    // motionScale (0-1) slows the rotation down, for reduced motion (see safety.js)
+    function update(time, beatDetector, motionScale = 1) {
+        let elapsed = lastTime == undefined ? 0 : Math.max(0, time - lastTime);
+        lastTime = time;
+
+        if (settings.rotation == ROTATION_MODES.time) {
+            offset += settings.speed * motionScale * elapsed;
+            beatTarget = offset;
+        }
+        else if (settings.rotation == ROTATION_MODES.beat) {
+            if (beatDetector.isBeat("kick")) beatTarget += settings.speed * motionScale;
+            // glide to the next step rather than jumping, it is easier on the eyes
+            offset += (beatTarget - offset) * Math.min(1, elapsed * 8);
+        }
+
+        return offset % 1;
+    }
+
+    return { update };
+}
+
+// what layers get as frame.palette - offset is from a palette clock
+// paletteSettings (from getSettings()) is for drawing with a palette other than the one in use,
+// like the scene that is fading out during a cue (see cues.js)
+function createFramePalette(offset = 0, paletteSettings = settings) {
+    let stops = getStops(paletteSettings).map(hexToRGB);
+
+    // [r, g, b] - for layers that work on pixels rather than with fillStyle
+    function rgb(t) {
+        if (stops.length == 1) return stops[0];
+
+        // wrap around, so t = 1.2 is the same as t = .2
+        let position = (((t + offset) % 1) + 1) % 1 * stops.length;
+        let index = Math.floor(position);
+        let from = stops[index % stops.length];
+        let to = stops[(index + 1) % stops.length];
+        let percent = position - index;
+
+        return [
+            Math.round(utils.lerp(from[0], to[0], percent)),
+            Math.round(utils.lerp(from[1], to[1], percent)),
+            Math.round(utils.lerp(from[2], to[2], percent))
+        ];
+    }
+
+    function color(t, alpha = 1) {
+        return utils.makeColor(...rgb(t), alpha);
+    }
+
+    return { color, rgb, stroke: getStroke(paletteSettings), stopCount: stops.length };
+}
+
+export {
+    THEMES, ROTATION_MODES, DEFAULTS, getSettings, setSettings, getStops, getStroke, onChange,
+    createPaletteClock, createFramePalette, isHexColor
+};
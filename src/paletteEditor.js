@@ -0,0 +1,119 @@
+/*
+    paletteEditor.js builds the palette controls (see palette.js):
+      - the theme picker, and how the palette turns (not at all, with time, or on the kick)
+      - a color input for every stop of the theme, with buttons to add and remove stops
+      - changing the stops of a built-in theme copies it into the "Custom" theme first
+      - a strip along the bottom previews the whole palette
+*/
+
+import * as palette from './palette.js';
+
+// the fewest and most stops a custom theme can have
+const MIN_STOPS = 1;
+const MAX_STOPS = 8;
+
+function setupPaletteEditor(container) {
+    palette.onChange(() => renderPaletteEditor(container));
+    renderPaletteEditor(container);
+}
+
+function renderPaletteEditor(container) {
+    let settings = palette.getSettings();
+    container.innerHTML = "";
+
+    // theme
+    let themeSelect = document.createElement("select");
+    for (let name in palette.THEMES) {
+        let option = document.createElement("option");
+        option.value = name;
+        option.text = palette.THEMES[name].label;
+        themeSelect.appendChild(option);
+    }
+    themeSelect.value = settings.theme;
+    themeSelect.onchange = e => palette.setSettings({ theme: e.target.value });
+    container.appendChild(createRow("Theme", themeSelect));
+
+    // rotation
+    let rotationSelect = document.createElement("select");
+    for (let [value, label] of [["none", "Off"], ["time", "With time"], ["beat", "On the beat"]]) {
+        let option = document.createElement("option");
+        option.value = value;
+        option.text = label;
+        rotationSelect.appendChild(option);
+    }
+    rotationSelect.value = settings.rotation;
+    rotationSelect.onchange = e => palette.setSettings({ rotation: e.target.value });
+    container.appendChild(createRow("Rotate", rotationSelect));
+
+    let speedSlider = document.createElement("input");
+    speedSlider.type = "range";
+    speedSlider.min = .01;
+    speedSlider.max = .5;
+    speedSlider.step = .01;
+    speedSlider.value = settings.speed;
+    speedSlider.disabled = settings.rotation == "none";
+    speedSlider.onchange = e => palette.setSettings({ speed: Number(e.target.value) });
+    container.appendChild(createRow("Rotation Speed", speedSlider));
+
+    // the color stops
+    let stops = palette.getStops();
+    let stopsDiv = document.createElement("div");
+    stopsDiv.className = "paletteStops";
+    stops.forEach((color, index) => {
+        let colorInput = document.createElement("input");
+        colorInput.type = "color";
+        colorInput.value = color;
+        colorInput.onchange = e => {
+            let newStops = [...stops];
+            newStops[index] = e.target.value;
+            setCustomStops(newStops);
+        };
+        stopsDiv.appendChild(colorInput);
+
+        let removeButton = document.createElement("button");
+        removeButton.innerHTML = "&times;";
+        removeButton.title = "Remove this color";
+        removeButton.disabled = stops.length <= MIN_STOPS;
+        removeButton.onclick = e => setCustomStops(stops.filter((stop, i) => i != index));
+        stopsDiv.appendChild(removeButton);
+    });
+
+    let addButton = document.createElement("button");
+    addButton.innerHTML = "Add Color";
+    addButton.disabled = stops.length >= MAX_STOPS;
+    addButton.onclick = e => setCustomStops([...stops, stops[stops.length - 1]]);
+    stopsDiv.appendChild(addButton);
+    container.appendChild(createRow("Colors", stopsDiv));
+
+    let strokeInput = document.createElement("input");
+    strokeInput.type = "color";
+    strokeInput.value = palette.getStroke();
+    strokeInput.onchange = e => {
+        palette.setSettings({ theme: "custom", customStops: stops, customStroke: e.target.value });
+    };
+    container.appendChild(createRow("Lines", strokeInput));
+
+    // preview - the stops loop around, so the strip ends on the first color again
+    let preview = document.createElement("div");
+    preview.className = "palettePreview";
+    preview.style.background = `linear-gradient(to right, ${[...stops, stops[0]].join()})`;
+    container.appendChild(preview);
+}
+
+// editing the stops of a built-in theme turns it into the custom theme, so the built-in ones never change
+function setCustomStops(stops) {
+    let settings = { theme: "custom", customStops: stops };
+    if (palette.getSettings().theme != "custom") settings.customStroke = palette.getStroke();
+    palette.setSettings(settings);
+}
+
+function createRow(labelText, control) {
+    let div = document.createElement("div");
+    let label = document.createElement("span");
+    label.innerHTML = labelText;
+    div.appendChild(label);
+    div.appendChild(control);
+    return div;
+}
+
+export { setupPaletteEditor };
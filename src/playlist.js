@@ -0,0 +1,173 @@
+/*
+    playlist.js keeps the queue of tracks and knows which one is playing:
+      - tracks stay in the order they were added, that is the order shown in the track list
+      - next()/previous() walk through the play order, which is shuffled when shuffle is on
+      - repeat can be "off", "one" or "all"
+      - peekNext() says which track comes next without moving, so audio.js can load it ahead of time
+      - it does not touch the <audio> element, main.js loads whatever track we hand back
+*/
+
+// here we are faking an enumeration
+const REPEAT_MODES = Object.freeze({
+    off: "off",
+    all: "all",
+    one: "one"
+});
+
+let tracks = [];        // { src, title } objects
+let order = [];         // indices into tracks, in the order they will be played
+let position = -1;      // where we are in order
+let shuffle = false;
+let repeat = REPEAT_MODES.off;
+let nextOrder;          // the shuffle for the next time around, when peekNext() has already had to make it
+
+function addTrack(track) {
+    tracks.push(track);
+    let index = tracks.length - 1;
+
+    if (shuffle) {
+        // slot the new track somewhere after the one that is playing
+        let slot = Math.floor(Math.random() * (order.length - position)) + position + 1;
+        order.splice(slot, 0, index);
+    }
+    else {
+        order.push(index);
+    }
+
+    if (position == -1) position = 0;
+    nextOrder = undefined;
+    return index;
+}
+
+function getTracks() {
+    return tracks;
+}
+
+function getCurrentIndex() {
+    return position == -1 ? -1 : order[position];
+}
+
+function getCurrentTrack() {
+    return position == -1 ? null : tracks[order[position]];
+}
+
+function selectTrack(index) {
+    if (index < 0 || index >= tracks.length) return null;
+
+    if (shuffle) {
+        // the picked track starts a fresh shuffle
+        order = createShuffledOrder(index);
+        nextOrder = undefined;
+        position = 0;
+    }
+    else {
+        position = order.indexOf(index);
+    }
+
+    return getCurrentTrack();
+}
+
+// auto is true when we got here because a track ended, rather than the user pressing "Next"
+// returns null when the playlist has run out
+function next(auto = false) {
+    if (tracks.length == 0) return null;
+
+    if (auto && repeat == REPEAT_MODES.one) {
+        return getCurrentTrack();
+    }
+
+    if (position < order.length - 1) {
+        position++;
+        return getCurrentTrack();
+    }
+
+    // we are at the end of the play order
+    if (auto && repeat == REPEAT_MODES.off) {
+        return null;
+    }
+
+    if (shuffle) order = getNextOrder();
+    nextOrder = undefined;
+    position = 0;
+    return getCurrentTrack();
+}
+
+// the track next(auto) would go to, without going there - null when there isn't one
+function peekNext(auto = true) {
+    if (tracks.length == 0) return null;
+    if (auto && repeat == REPEAT_MODES.one) return getCurrentTrack();
+    if (position < order.length - 1) return tracks[order[position + 1]];
+    if (auto && repeat == REPEAT_MODES.off) return null;
+
+    return tracks[(shuffle ? getNextOrder() : order)[0]];
+}
+
+// the play order for the next time around - reshuffled, but without playing the same track twice in a row
+// it is made once and kept, so peekNext() and next() agree on it
+function getNextOrder() {
+    if (!nextOrder) {
+        let last = getCurrentIndex();
+        nextOrder = createShuffledOrder();
+        if (nextOrder.length > 1 && nextOrder[0] == last) nextOrder.push(nextOrder.shift());
+    }
+    return nextOrder;
+}
+
+function previous() {
+    if (tracks.length == 0) return null;
+
+    if (position > 0) {
+        position--;
+    }
+    else {
+        position = order.length - 1;
+    }
+
+    return getCurrentTrack();
+}
+
+function setShuffle(value) {
+    shuffle = value;
+    nextOrder = undefined;
+    let current = getCurrentIndex();
+
+    if (shuffle) {
+        order = createShuffledOrder(current);
+        position = current == -1 ? -1 : 0;
+    }
+    else {
+        order = tracks.map((track, i) => i);
+        position = current;
+    }
+}
+
+function getShuffle() {
+    return shuffle;
+}
+
+function setRepeat(mode) {
+    if (!REPEAT_MODES[mode]) return;
+    repeat = mode;
+}
+
+function getRepeat() {
+    return repeat;
+}
+
+// Fisher-Yates shuffle of every track index, with firstIndex (if any) moved to the front
+function createShuffledOrder(firstIndex = -1) {
+    let indices = tracks.map((track, i) => i).filter(i => i != firstIndex);
+
+    for (let i = indices.length - 1; i > 0; i--) {
+        let j = Math.floor(Math.random() * (i + 1));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+
+    if (firstIndex != -1) indices.unshift(firstIndex);
+    return indices;
+}
+
+export {
+    REPEAT_MODES, addTrack, getTracks, getCurrentIndex, getCurrentTrack, selectTrack,
+    next, peekNext, previous, setShuffle, getShuffle, setRepeat, getRepeat
+};
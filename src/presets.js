@@ -0,0 +1,225 @@
+/*
+    presets.js saves and restores the whole look of the visualizer.
+
+      - the settings are split into "sections" (layers, filters, effects ...), and whichever module
+        owns a section registers a get() and a set() for it with registerSection()
+      - a preset is { version, sections: { name: value } } - sections it doesn't mention are left alone
+      - user presets are kept in localStorage, and can be exported/imported as JSON files
+        or shared in the URL hash (#preset=...)
+*/
+
+const STORAGE_KEY = "audioVisualizer.presets";
+const HASH_PREFIX = "#preset=";
+const VERSION = 1;
+
+// these ship with the app and can't be deleted or overwritten
+const BUILT_IN_PRESETS = Object.freeze({
+    "Classic": {
+        version: VERSION,
+        sections: {
+            layers: [
+                { type: "barCircle" },
+                { type: "waveform" },
+                { type: "circleWaveform" },
+                { type: "progress" },
+                { type: "date" },
+                { type: "lyrics" },
+                { type: "pixels" }
+            ],
+            filters: [],
+            palette: { theme: "rainbow", rotation: "none" }
+        }
+    },
+    "Minimal Ring": {
+        version: VERSION,
+        sections: {
+            layers: [
+                { type: "circleWaveform", params: { radius: 120, formHeight: 60, lineWidth: 2 } },
+                { type: "progress", params: { radius: 110, lineWidth: 1 } }
+            ],
+            filters: [],
+            palette: { theme: "monochrome", rotation: "none" }
+        }
+    },
+    "Double Circle": {
+        version: VERSION,
+        sections: {
+            layers: [
+                { type: "barCircle", params: { radius: 140, barHeight: 40 } },
+                { type: "barCircle", params: { radius: 60, barHeight: 50, bounce: false } },
+                { type: "circleWaveform", params: { radius: 100, formHeight: 40 } },
+                { type: "progress", params: { radius: 50 } }
+            ],
+            filters: [],
+            palette: { theme: "neon", rotation: "beat", speed: .25 }
+        }
+    },
+    "Retro Bars": {
+        version: VERSION,
+        sections: {
+            layers: [
+                { type: "gradient", params: { opacity: .6 } },
+                { type: "bars", params: { spacing: 2 } },
+                { type: "date", params: { fontSize: 40 } }
+            ],
+            filters: [{ type: "sepia" }, { type: "scanlines", params: { strength: .5 } }],
+            palette: { theme: "classic", rotation: "time", speed: .05 }
+        }
+    },
+    "Now Playing": {
+        version: VERSION,
+        sections: {
+            layers: [
+                { type: "barCircle", params: { radius: 110 } },
+                { type: "circleWaveform", params: { radius: 110 } },
+                { type: "progress", params: { radius: 100 } },
+                { type: "trackInfo", params: { radius: 90, bounce: true } },
+                { type: "lyrics", params: { position: 350 } }
+            ],
+            filters: [],
+            palette: { theme: "rainbow", rotation: "none" }
+        }
+    },
+    "Negative": {
+        version: VERSION,
+        sections: {
+            layers: [
+                { type: "barCircle" },
+                { type: "circleWaveform" },
+                { type: "progress" },
+                { type: "date" }
+            ],
+            filters: [{ type: "invert" }, { type: "grayscale" }],
+            palette: { theme: "rainbow", rotation: "none" }
+        }
+    }
+});
+
+let sections = {};      // name -> { get, set }
+
+function registerSection(name, handlers) {
+    sections[name] = handlers;
+}
+
+// a snapshot of every registered section
+function captureState() {
+    let state = { version: VERSION, sections: {} };
+    for (let name in sections) {
+        state.sections[name] = sections[name].get();
+    }
+    // round trip through JSON so the snapshot doesn't share any objects with the live settings
+    return JSON.parse(JSON.stringify(state));
+}
+
+function applyState(state) {
+    if (!isValidState(state)) throw new Error("That is not a visualizer preset.");
+
+    for (let name in state.sections) {
+        if (sections[name]) sections[name].set(state.sections[name]);
+    }
+}
+
+function isValidState(state) {
+    return Boolean(state) && typeof state == "object" && Boolean(state.sections) && typeof state.sections == "object";
+}
+
+function loadUserPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    }
+    catch (e) {
+        // storage is unavailable or someone left junk in it
+        return {};
+    }
+}
+
+function saveUserPresets(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+function getBuiltInPresetNames() {
+    return Object.keys(BUILT_IN_PRESETS);
+}
+
+function getUserPresetNames() {
+    return Object.keys(loadUserPresets()).sort();
+}
+
+function isBuiltInPreset(name) {
+    return name in BUILT_IN_PRESETS;
+}
+
+function getPreset(name) {
+    return BUILT_IN_PRESETS[name] || loadUserPresets()[name];
+}
+
+// saves the current settings under name, returns the saved state
+function savePreset(name, state = captureState()) {
+    name = name.trim();
+    if (!name) throw new Error("Please give the preset a name.");
+    if (isBuiltInPreset(name)) throw new Error(`"${name}" is a built-in preset, please pick another name.`);
+
+    let presets = loadUserPresets();
+    presets[name] = state;
+    saveUserPresets(presets);
+    return state;
+}
+
+function deletePreset(name) {
+    let presets = loadUserPresets();
+    delete presets[name];
+    saveUserPresets(presets);
+}
+
+function loadPreset(name) {
+    let state = getPreset(name);
+    if (!state) throw new Error(`There is no preset called "${name}".`);
+    applyState(state);
+}
+
+// the JSON file format is { name, state }
+function exportPreset(name, state = getPreset(name)) {
+    return new Blob([JSON.stringify({ name, state }, null, 2)], { type: "application/json" });
+}
+
+// reads an exported preset file and saves it, resolves with the name it was saved under
+function importPreset(file) {
+    return file.text().then(text => {
+        let json = JSON.parse(text);
+        if (!json || !isValidState(json.state)) throw new Error(`${file.name} is not a visualizer preset.`);
+
+        // don't clobber the built-ins
+        let name = json.name || file.name.replace(/\.json$/i, "");
+        if (isBuiltInPreset(name)) name += " (imported)";
+        savePreset(name, json.state);
+        return name;
+    });
+}
+
+// the state goes in the hash as URL-safe base64 of its JSON
+function encodeStateForURL(state = captureState()) {
+    let bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = "";
+    for (let byte of bytes) binary += String.fromCharCode(byte);
+    let base64 = btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    return HASH_PREFIX + base64;
+}
+
+// returns the state in a location.hash, or null if there isn't one
+function decodeStateFromURL(hash) {
+    if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+
+    let base64 = hash.slice(HASH_PREFIX.length).replace(/-/g, "+").replace(/_/g, "/");
+    let binary = atob(base64);
+    let bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    let state = JSON.parse(new TextDecoder().decode(bytes));
+
+    if (!isValidState(state)) throw new Error("The link does not contain a visualizer preset.");
+    return state;
+}
+
+export {
+    BUILT_IN_PRESETS, registerSection, captureState, applyState, getBuiltInPresetNames, getUserPresetNames,
+    isBuiltInPreset, getPreset, savePreset, deletePreset, loadPreset, exportPreset, importPreset,
+    encodeStateForURL, decodeStateFromURL
+};
@@ -0,0 +1,86 @@
+/*
+    recorder.js records the visualizer into a WebM video:
+      - the video comes from the <canvas> with captureStream()
+      - the audio comes from the end of the audio.js graph (after the compressor)
+      - the two are put in one MediaStream and handed to a MediaRecorder
+*/
+
+// here we are faking an enumeration
+const DEFAULTS = Object.freeze({
+    frameRate: 30,
+    videoBitsPerSecond: 5000000,
+    audioBitsPerSecond: 128000
+});
+
+// the first of these the browser supports is the one we use
+const MIME_TYPES = Object.freeze([
+    "video/webm;codecs=vp9,opus",
+    "video/webm;codecs=vp8,opus",
+    "video/webm"
+]);
+
+let mediaRecorder;
+let chunks = [];
+let startTime = 0;
+let stopPromise;
+
+function isSupported() {
+    return typeof MediaRecorder != "undefined" && Boolean(HTMLCanvasElement.prototype.captureStream);
+}
+
+function getMimeType() {
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+// audioStream is a MediaStream with the audio to record, see audio.getRecordingStream()
+function startRecording(canvasElement, audioStream, options = {}) {
+    if (isRecording()) return;
+
+    let settings = Object.assign({}, DEFAULTS, options);
+    let canvasStream = canvasElement.captureStream(settings.frameRate);
+    let stream = new MediaStream([...canvasStream.getVideoTracks(), ...audioStream.getAudioTracks()]);
+
+    chunks = [];
+    mediaRecorder = new MediaRecorder(stream, {
+        mimeType: getMimeType(),
+        videoBitsPerSecond: settings.videoBitsPerSecond,
+        audioBitsPerSecond: settings.audioBitsPerSecond
+    });
+
+    mediaRecorder.ondataavailable = e => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+
+    // resolves with the finished video once stopRecording() is called
+    stopPromise = new Promise(resolve => {
+        mediaRecorder.onstop = e => {
+            // only stop the canvas track - the audio track belongs to the audio graph and we reuse it
+            canvasStream.getTracks().forEach(track => track.stop());
+            resolve(new Blob(chunks, { type: mediaRecorder.mimeType || "video/webm" }));
+            chunks = [];
+        };
+    });
+
+    // hand us the data every second, so a long recording doesn't sit in one huge buffer
+    mediaRecorder.start(1000);
+    startTime = performance.now();
+}
+
+// resolves with the recorded WebM Blob
+function stopRecording() {
+    if (!isRecording()) return Promise.resolve(null);
+
+    mediaRecorder.stop();
+    return stopPromise;
+}
+
+function isRecording() {
+    return Boolean(mediaRecorder) && mediaRecorder.state != "inactive";
+}
+
+// seconds since recording started
+function getElapsedTime() {
+    return isRecording() ? (performance.now() - startTime) / 1000 : 0;
+}
+
+export { DEFAULTS, isSupported, startRecording, stopRecording, isRecording, getElapsedTime };
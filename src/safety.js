@@ -0,0 +1,290 @@
+/*
+    safety.js keeps the visualizer from flashing in a way that can set off seizures (photosensitive
+    epilepsy), and tones the movement down for anyone who would rather have less of it:
+      - a flash guard (createFlashGuard(), one per renderer) measures how much the finished canvas
+        gets lighter or darker from frame to frame. WCAG 2.3.1 counts a flash as a pair of opposing
+        changes of 10% or more in relative luminance (where the darker side is under .8) and allows
+        no more than 3 in any second - the guard holds it to 2 (1 in strict safe mode) by laying the
+        last frame back over any frame that would make one too many
+      - the canvas is measured as a whole and in quarters, so a flash that fills a quarter of the
+        screen counts as well - roughly WCAG's area rule. It is a safeguard, not a certified
+        analyser: saturated red flashes aren't looked for
+      - reduced motion (the system's prefers-reduced-motion, unless chosen here) damps the beat
+        bounce and the color rotation, see getMotionScale()
+      - strict safe mode stops that motion altogether, holds flashing to once a second and leaves
+        the flash-prone effects (layers and filters that declare flashProne: true) out
+      - turning on a flash-prone effect asks first, see confirmFlashProne()
+    The settings are kept in localStorage, they are not part of presets - loading a look shouldn't
+    be able to switch the safeguards off.
+*/
+
+const STORAGE_KEY = "audioVisualizer.safety";
+
+// here we are faking an enumeration
+const MOTION_MODES = Object.freeze({
+    auto: "auto",           // whatever the system's prefers-reduced-motion says
+    full: "full",
+    reduced: "reduced"
+});
+
+const DEFAULTS = Object.freeze({
+    limitFlashes: true,
+    motion: MOTION_MODES.auto,
+    strict: false
+});
+
+// a change in relative luminance this big is half a flash, if the darker side is under DARK_LIMIT
+const FLASH_THRESHOLD = .1;
+const DARK_LIMIT = .8;
+// flashes allowed in any FLASH_WINDOW seconds - WCAG's limit is 3
+const MAX_FLASHES = 2;
+const STRICT_MAX_FLASHES = 1;
+const FLASH_WINDOW = 1;
+// the guard keeps changes a little under the threshold, the measurement is rough
+const HOLD_MARGIN = .8;
+// how much of the bounce and rotation is left with reduced motion
+const REDUCED_MOTION_SCALE = .25;
+// the canvas is measured from a copy this small
+const SAMPLE_WIDTH = 32;
+const SAMPLE_HEIGHT = 16;
+
+// 0-255 sRGB -> linear light, for relative luminance
+const LINEAR = new Float32Array(256).map((value, i) => {
+    let c = i / 255;
+    return c <= .04045 ? c / 12.92 : Math.pow((c + .055) / 1.055, 2.4);
+});
+
+let settings = Object.assign({}, DEFAULTS);
+copySettings(loadSettings());
+let listeners = [];
+let acceptedTypes = new Set();      // flash-prone effects the user has said yes to, until the page reloads
+
+let reducedMotionQuery = typeof matchMedia == "function" ? matchMedia("(prefers-reduced-motion: reduce)") : undefined;
+if (reducedMotionQuery) reducedMotionQuery.addEventListener("change", () => notify());
+
+function getSettings() {
+    return Object.assign({}, settings);
+}
+
+// takes any of the settings - unknown values are ignored
+function setSettings(newSettings) {
+    copySettings(newSettings);
+    saveSettings();
+    notify();
+}
+
+function copySettings(newSettings) {
+    if (typeof newSettings.limitFlashes == "boolean") settings.limitFlashes = newSettings.limitFlashes;
+    if (Object.values(MOTION_MODES).includes(newSettings.motion)) settings.motion = newSettings.motion;
+    if (typeof newSettings.strict == "boolean") settings.strict = newSettings.strict;
+}
+
+function onChange(callback) {
+    listeners.push(callback);
+}
+
+function notify() {
+    for (let listener of listeners) listener(getSettings());
+}
+
+function isStrict() {
+    return settings.strict;
+}
+
+// does the system (or the user, here) want less motion?
+function isReducedMotion() {
+    if (settings.motion == MOTION_MODES.auto) return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    return settings.motion == MOTION_MODES.reduced;
+}
+
+// how much of the beat bounce and the color rotation to keep, 0-1
+function getMotionScale() {
+    if (settings.strict) return 0;
+    return isReducedMotion() ? REDUCED_MOTION_SCALE : 1;
+}
+
+// flashes allowed a second - Infinity if the guard is off
+function getFlashLimit() {
+    if (settings.strict) return STRICT_MAX_FLASHES;
+    return settings.limitFlashes ? MAX_FLASHES : Infinity;
+}
+
+// declaration is a layer module or a filter type (see layers.js, filters.js)
+function isFlashProne(declaration) {
+    return Boolean(declaration && declaration.flashProne);
+}
+
+// flash-prone effects are left out in strict safe mode
+function isBlocked(declaration) {
+    return settings.strict && isFlashProne(declaration);
+}
+
+// call before turning on an effect - returns true if it can go ahead
+// the warning comes up once per kind of effect, and strict safe mode turns them all down
+function confirmFlashProne(declaration) {
+    if (!isFlashProne(declaration)) return true;
+
+    if (settings.strict) {
+        window.alert(`"${declaration.label}" can flash, so it stays off while strict safe mode is on.`);
+        return false;
+    }
+    if (acceptedTypes.has(declaration.type)) return true;
+
+    let accepted = window.confirm(
+        `Warning: "${declaration.label}" can make the screen flash, which may trigger seizures in people ` +
+        "with photosensitive epilepsy. Flashing is limited to under three times a second unless you have " +
+        "turned that off, but please take care. Turn it on?"
+    );
+    if (accepted) acceptedTypes.add(declaration.type);
+    return accepted;
+}
+
+// Counts the transitions (changes of FLASH_THRESHOLD or more, one way then the other) of one
+// region's luminance. Going up, extreme is the brightest it has been since the last transition -
+// a fall of FLASH_THRESHOLD from there is the next one - and the other way round going down.
+function createTransitionCounter() {
+    let extreme;
+    let direction = 0;
+    let times = [];
+
+    // 1 or -1 if level would be a transition up or down, otherwise 0
+    function check(level) {
+        if (extreme == undefined) return 0;
+        let change = level - extreme;
+        if (Math.abs(change) < FLASH_THRESHOLD || Math.min(level, extreme) >= DARK_LIMIT) return 0;
+        return Math.sign(change) != direction ? Math.sign(change) : 0;
+    }
+
+    function update(level, time) {
+        let transition = check(level);
+        if (transition != 0) {
+            direction = transition;
+            extreme = level;
+            times.push(time);
+        }
+        else if (extreme == undefined || (direction > 0 && level > extreme) || (direction < 0 && level < extreme)) {
+            extreme = level;
+        }
+    }
+
+    // transitions in the FLASH_WINDOW up to time
+    function countRecent(time) {
+        times = times.filter(other => time - other < FLASH_WINDOW);
+        return times.length;
+    }
+
+    // the furthest towards level we can go without a transition
+    function getHoldLevel(level) {
+        return extreme + Math.sign(level - extreme) * FLASH_THRESHOLD * HOLD_MARGIN;
+    }
+
+    return { check, update, countRecent, getHoldLevel };
+}
+
+// The guard looks at every finished frame - call apply() last, after the image filters - and, when
+// a frame would go over the flash limit, blends the last frame back over it so the change stays small.
+function createFlashGuard() {
+    let sampleCanvas = document.createElement("canvas");
+    sampleCanvas.width = SAMPLE_WIDTH;
+    sampleCanvas.height = SAMPLE_HEIGHT;
+    let sampleCtx = sampleCanvas.getContext("2d", { willReadFrequently: true });
+    let lastCanvas = document.createElement("canvas");
+    let lastCtx = lastCanvas.getContext("2d");
+    let counters, shown, lastTime, limitedTime;
+    reset();
+
+    function apply(ctx, width, height, time) {
+        let limit = getFlashLimit();
+        if (!isFinite(limit)) return;
+        // time going backwards is a new render, start over
+        if (lastTime != undefined && time < lastTime) reset();
+        lastTime = time;
+
+        sampleCtx.drawImage(ctx.canvas, 0, 0, width, height, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        let levels = measure(sampleCtx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT).data);
+
+        // how much of the change since the last frame can go through - the region closest to the limit decides
+        let share = 1;
+        if (shown) {
+            levels.forEach((level, i) => {
+                let counter = counters[i];
+                if (counter.check(level) == 0 || counter.countRecent(time) + 1 <= limit * 2) return;
+                if (level == shown[i]) return;
+                share = Math.min(share, Math.max(0, (counter.getHoldLevel(level) - shown[i]) / (level - shown[i])));
+            });
+        }
+
+        if (share < 1 && lastCanvas.width == width && lastCanvas.height == height) {
+            ctx.save();
+            ctx.globalAlpha = 1 - share;
+            ctx.drawImage(lastCanvas, 0, 0);
+            ctx.restore();
+            levels = levels.map((level, i) => shown[i] + (level - shown[i]) * share);
+            limitedTime = time;
+        }
+
+        levels.forEach((level, i) => counters[i].update(level, time));
+        shown = levels;
+
+        if (lastCanvas.width != width || lastCanvas.height != height) {
+            lastCanvas.width = width;
+            lastCanvas.height = height;
+        }
+        lastCtx.drawImage(ctx.canvas, 0, 0);
+    }
+
+    // was a frame held back in the last second?
+    function isLimiting(time) {
+        return limitedTime != undefined && time - limitedTime >= 0 && time - limitedTime < FLASH_WINDOW;
+    }
+
+    function reset() {
+        counters = [0, 1, 2, 3, 4].map(() => createTransitionCounter());
+        shown = undefined;
+        lastTime = undefined;
+        limitedTime = undefined;
+    }
+
+    return { apply, isLimiting, reset };
+}
+
+// the mean relative luminance of the whole sample, then of each quarter of it
+function measure(data) {
+    let quarters = [0, 0, 0, 0];
+    for (let y = 0; y < SAMPLE_HEIGHT; y++) {
+        for (let x = 0; x < SAMPLE_WIDTH; x++) {
+            let i = (y * SAMPLE_WIDTH + x) * 4;
+            let luminance = .2126 * LINEAR[data[i]] + .7152 * LINEAR[data[i + 1]] + .0722 * LINEAR[data[i + 2]];
+            quarters[(y < SAMPLE_HEIGHT / 2 ? 0 : 2) + (x < SAMPLE_WIDTH / 2 ? 0 : 1)] += luminance;
+        }
+    }
+
+    let pixels = SAMPLE_WIDTH * SAMPLE_HEIGHT / 4;
+    quarters = quarters.map(sum => sum / pixels);
+    return [quarters.reduce((sum, value) => sum + value, 0) / 4, ...quarters];
+}
+
+function loadSettings() {
+    try {
+        let saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return saved && typeof saved == "object" ? saved : {};
+    }
+    catch (e) {
+        // storage is unavailable or someone left junk in it
+        return {};
+    }
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    }
+    catch (e) {
+        // the settings just won't be remembered
+    }
+}
+
+export {
+    MOTION_MODES, DEFAULTS, getSettings, setSettings, onChange, isStrict, isReducedMotion, getMotionScale,
+    getFlashLimit, isFlashProne, isBlocked, confirmFlashProne, createFlashGuard
+};
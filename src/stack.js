@@ -0,0 +1,142 @@
+/*
+    stack.js makes an ordered, editable list of things built from registered types.
+    layers.js uses one for the visual layers and filters.js uses one for the image filters.
+
+      - a type is a module (or object) that declares: type, label, order and params
+        params are { name, label, type: "checkbox" | "range" | "select" | "color", default, ... }
+      - an instance is { id, type, enabled, params } - the same type can be in the stack more than once
+      - index 0 is the bottom of the stack, it is drawn/applied first
+*/
+
+function createStack() {
+    let types = {};     // type -> declaration
+    let instances = [];
+    let nextId = 1;
+    let listeners = [];
+    let editListeners = [];
+
+    function registerType(declaration) {
+        types[declaration.type] = declaration;
+    }
+
+    // every registered type, by order
+    function getTypes() {
+        return Object.values(types).sort((a, b) => a.order - b.order);
+    }
+
+    function getType(type) {
+        return types[type];
+    }
+
+    // makes a new instance, using the declared defaults for anything not in params
+    function createInstance(type, params = {}, enabled = true) {
+        let declaration = types[type];
+        if (!declaration) return null;
+
+        let instance = { id: nextId++, type, enabled, params: {} };
+        for (let param of declaration.params) {
+            instance.params[param.name] = param.name in params ? params[param.name] : param.default;
+        }
+        return instance;
+    }
+
+    function getInstances() {
+        return instances;
+    }
+
+    function getInstance(id) {
+        return instances.find(instance => instance.id == id);
+    }
+
+    // new instances go above everything with the same or a lower order
+    function add(type, params) {
+        let instance = createInstance(type, params);
+        if (!instance) return null;
+
+        let order = types[type].order;
+        let index = instances.findIndex(other => types[other.type].order > order);
+        if (index == -1) index = instances.length;
+
+        instances.splice(index, 0, instance);
+        notify();
+        return instance;
+    }
+
+    function remove(id) {
+        instances = instances.filter(instance => instance.id != id);
+        notify();
+    }
+
+    // offset -1 moves the instance down (earlier), +1 moves it up
+    function move(id, offset) {
+        let index = instances.findIndex(instance => instance.id == id);
+        let newIndex = index + offset;
+        if (index == -1 || newIndex < 0 || newIndex >= instances.length) return;
+
+        let [instance] = instances.splice(index, 1);
+        instances.splice(newIndex, 0, instance);
+        notify();
+    }
+
+    function setEnabled(id, enabled) {
+        let instance = getInstance(id);
+        if (!instance) return;
+        instance.enabled = Boolean(enabled);
+        notifyEdit(instance);
+    }
+
+    function setParam(id, name, value) {
+        let instance = getInstance(id);
+        if (!instance) return;
+
+        let param = types[instance.type].params.find(param => param.name == name);
+        if (!param) return;
+
+        if (param.type == "checkbox") value = Boolean(value);
+        else if (param.type == "range") value = Number(value);
+        instance.params[name] = value;
+        notifyEdit(instance);
+    }
+
+    // a plain copy without ids, that can be saved as JSON
+    function serialize() {
+        return instances.map(instance => ({
+            type: instance.type,
+            enabled: instance.enabled,
+            params: Object.assign({}, instance.params)
+        }));
+    }
+
+    // replaces everything with a list from serialize(), skipping any types we don't know
+    function load(serialized) {
+        instances = serialized
+            .map(saved => createInstance(saved.type, saved.params || {}, saved.enabled != false))
+            .filter(instance => instance);
+        notify();
+    }
+
+    // called whenever instances are added, removed or reordered (not for param changes)
+    function onChange(callback) {
+        listeners.push(callback);
+    }
+
+    function notify() {
+        for (let listener of listeners) listener(instances);
+    }
+
+    // called when an instance is turned on or off or one of its params changes
+    function onEdit(callback) {
+        editListeners.push(callback);
+    }
+
+    function notifyEdit(instance) {
+        for (let listener of editListeners) listener(instance);
+    }
+
+    return {
+        registerType, getTypes, getType, createInstance, getInstances, getInstance,
+        add, remove, move, setEnabled, setParam, serialize, load, onChange, onEdit
+    };
+}
+
+export { createStack };
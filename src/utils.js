@@ -10,6 +10,20 @@ const getRandom = (min, max) => {
   return Math.random() * (max - min) + min;
 };
 
+// a random number generator that gives the same numbers every time for the same seed (mulberry32)
+// - for things like particles that have to look the same in every offline render
+// returns a function that works like Math.random()
+const createSeededRandom = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
 const getRandomColor = () => {
   const floor = 35; // so that colors are not too bright or too dark 
   const getByte = () => getRandom(floor, 255 - floor);
@@ -38,9 +52,9 @@ const goFullscreen = (element) => {
   // .. and do nothing if the method is not supported
 };
 
-const getDate = () => {
-  let date = new Date();
-  let month = date.getMonth();
+// pass in a Date to format a time other than right now (e.g. the render clock)
+const getDate = (date = new Date()) => {
+  let month = date.getMonth() + 1; // getMonth() starts at 0 for January
   let day = date.getDate();
   let year = date.getFullYear();
 
@@ -51,8 +65,7 @@ const getDate = () => {
   return dateString;
 }
 
-const getTime = () => {
-  let date = new Date();
+const getTime = (date = new Date()) => {
   let hours = date.getHours();
   let minutes = date.getMinutes();
   let seconds = date.getSeconds();
@@ -75,4 +88,17 @@ const lerp = (value1, value2, percent) => {
   return (1 - percent) * value1 + percent * value2;
 }
 
-export { makeColor, getRandomColor, getLinearGradient, goFullscreen, getDate, getTime, getRandom, lerp };
\ No newline at end of file
+// saves a Blob to the user's computer by clicking a temporary download link
+const downloadBlob = (blob, fileName) => {
+  let url = URL.createObjectURL(blob);
+  let link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // give the browser a moment to start the download before letting go of the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export { makeColor, getRandomColor, getLinearGradient, goFullscreen, getDate, getTime, getRandom, createSeededRandom, lerp, downloadBlob };
\ No newline at end of file
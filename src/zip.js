@@ -0,0 +1,138 @@
+/*
+    zip.js packs files into a .zip archive, so a render can be downloaded as one file.
+    It only "stores" the files (no compression) - PNGs are already compressed anyway.
+    The archive is built a file at a time (see createZipWriter()): each file goes into a Blob of its
+    own as it is added, so a long render isn't held in memory all at once, and past 65535 files or
+    4 GB it switches to the ZIP64 records that lift those limits.
+*/
+
+// past these the ZIP64 records are needed - the fields are left at the maximum, meaning "see ZIP64"
+const MAX_ENTRIES = 0xFFFF;
+const MAX_SIZE = 0xFFFFFFFF;
+
+let crcTable;
+
+const crc32 = (data) => {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// zip files store times the MS-DOS way
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// addFile(name, data) adds a file (data is a Uint8Array), finish() returns a Blob of the archive
+// only the central directory - a few dozen bytes per file - is kept until then
+function createZipWriter(date = new Date()) {
+    let parts = [];
+    let centralDirectory = [];
+    let entryCount = 0;
+    let offset = 0;
+    let encoder = new TextEncoder();
+    let dos = toDosDateTime(date);
+
+    function addFile(name, data) {
+        // a file this big would need ZIP64 sizes too - a frame never gets near it
+        if (data.length >= MAX_SIZE) throw new Error(`${name} is too big for a zip file`);
+        let nameBytes = encoder.encode(name);
+        let crc = crc32(data);
+
+        // local file header
+        let header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);                  // version needed to extract
+        header.setUint16(6, 0x0800, true);              // names are UTF-8
+        header.setUint16(8, 0, true);                   // stored, no compression
+        header.setUint16(10, dos.time, true);
+        header.setUint16(12, dos.date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);        // compressed size
+        header.setUint32(22, data.length, true);        // uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);                  // extra field length
+        parts.push(new Blob([header, nameBytes, data]));
+
+        // central directory entry for the same file - past 4 GB the offset goes in a ZIP64 extra field
+        let zip64 = offset >= MAX_SIZE;
+        let entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, zip64 ? 45 : 20, true);      // version made by
+        entry.setUint16(6, zip64 ? 45 : 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dos.time, true);
+        entry.setUint16(14, dos.date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint16(30, zip64 ? 12 : 0, true);      // extra field length
+        entry.setUint32(42, Math.min(offset, MAX_SIZE), true);  // where the local header is
+        centralDirectory.push(entry, nameBytes);
+        if (zip64) {
+            // the ZIP64 extra field (after the name), with just the offset
+            let extra = new DataView(new ArrayBuffer(12));
+            extra.setUint16(0, 0x0001, true);
+            extra.setUint16(2, 8, true);
+            extra.setBigUint64(4, BigInt(offset), true);
+            centralDirectory.push(extra);
+        }
+
+        entryCount++;
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    function finish() {
+        let directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+        let records = [];
+
+        if (entryCount >= MAX_ENTRIES || offset >= MAX_SIZE || directorySize >= MAX_SIZE) {
+            // ZIP64 end of central directory record
+            let end64 = new DataView(new ArrayBuffer(56));
+            end64.setUint32(0, 0x06064b50, true);
+            end64.setBigUint64(4, 44n, true);           // the size of the rest of this record
+            end64.setUint16(12, 45, true);              // version made by
+            end64.setUint16(14, 45, true);              // version needed to extract
+            end64.setBigUint64(24, BigInt(entryCount), true);
+            end64.setBigUint64(32, BigInt(entryCount), true);
+            end64.setBigUint64(40, BigInt(directorySize), true);
+            end64.setBigUint64(48, BigInt(offset), true);
+
+            // and where to find it
+            let locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064b50, true);
+            locator.setBigUint64(8, BigInt(offset + directorySize), true);
+            locator.setUint32(16, 1, true);             // the number of disks
+            records.push(end64, locator);
+        }
+
+        // end of central directory record
+        let end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Math.min(entryCount, MAX_ENTRIES), true);
+        end.setUint16(10, Math.min(entryCount, MAX_ENTRIES), true);
+        end.setUint32(12, Math.min(directorySize, MAX_SIZE), true);
+        end.setUint32(16, Math.min(offset, MAX_SIZE), true);
+        records.push(end);
+
+        return new Blob([...parts, ...centralDirectory, ...records], { type: "application/zip" });
+    }
+
+    return { addFile, finish };
+}
+
+export { crc32, createZipWriter };
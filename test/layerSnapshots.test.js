@@ -0,0 +1,158 @@
+/*
+    layerSnapshots.test.js replays a short capture (fixtures/tone.vizcap, see capture.js) through
+    canvas.createRenderer() once for each layer, on its own, with its default params. The canvas is a
+    stand-in whose 2D context writes down every call and every property that is set, and what each
+    layer drew is checked against the snapshot of it in snapshots/layers.json.
+
+    Run the tests with: node --test test/
+    After changing what a layer draws on purpose, write the snapshots again with:
+        UPDATE_SNAPSHOTS=1 node --test test/
+    The capture itself is a second of a synthetic signal - a kick on every beat under two tones -
+    recorded again (it shouldn't need to be, unless the capture format changes) with:
+        RECORD_FIXTURE=1 node --test test/
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const FIXTURE = new URL("./fixtures/tone.vizcap", import.meta.url);
+const SNAPSHOTS = new URL("./snapshots/layers.json", import.meta.url);
+const WIDTH = 400;
+const HEIGHT = 200;
+
+// the date layer shows the time of day
+process.env.TZ = "UTC";
+
+// what the contexts have been asked to do since the last takeLog()
+let log = [];
+let canvasCount = 0;
+
+function takeLog() {
+    let taken = log;
+    log = [];
+    return taken;
+}
+
+// numbers are rounded so a last-digit difference in the math library doesn't count
+function describe(value) {
+    if (typeof value == "number") return String(Math.round(value * 100) / 100);
+    if (value && value.canvasNumber) return `canvas${value.canvasNumber}`;
+    if (value && value.data instanceof Uint8ClampedArray) return `image${value.width}x${value.height}`;
+    if (value && typeof value == "object") return value.description || "object";
+    return String(value);
+}
+
+function createFakeContext(canvas) {
+    let properties = { canvas };
+    let record = (name, args) => log.push(`${canvas.canvasNumber}.${name}(${args.map(describe).join(",")})`);
+
+    let methods = {
+        getImageData: (x, y, width, height) => {
+            record("getImageData", [x, y, width, height]);
+            width = Math.max(1, Math.round(width));
+            height = Math.max(1, Math.round(height));
+            return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        },
+        createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+        measureText: text => ({ width: String(text).length * 10 }),
+        getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+        isPointInPath: () => false
+    };
+    for (let name of ["createLinearGradient", "createRadialGradient", "createConicGradient"]) {
+        methods[name] = (...args) => {
+            record(name, args);
+            let gradient = { description: name, addColorStop: (...stop) => record("addColorStop", stop) };
+            return gradient;
+        };
+    }
+
+    return new Proxy(properties, {
+        get(target, name) {
+            if (name in methods) return methods[name];
+            if (name in target) return target[name];
+            return (...args) => record(name, args);
+        },
+        set(target, name, value) {
+            log.push(`${canvas.canvasNumber}.${name}=${describe(value)}`);
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+function createFakeCanvas(width = WIDTH, height = HEIGHT) {
+    let canvas = { canvasNumber: ++canvasCount, width, height, style: {}, addEventListener() {} };
+    canvas.getContext = () => canvas.context || (canvas.context = createFakeContext(canvas));
+    return canvas;
+}
+
+globalThis.document = { createElement: () => createFakeCanvas() };
+
+const capture = await import('../src/capture.js');
+const canvas = await import('../src/canvas.js');
+const layers = await import('../src/layers.js');
+const fft = await import('../src/fft.js');
+
+if (process.env.RECORD_FIXTURE) writeFileSync(FIXTURE, await recordFixture());
+const replay = await capture.readCapture(new Blob([readFileSync(FIXTURE)]));
+const snapshots = JSON.parse(readFileSync(SNAPSHOTS, "utf8"));
+
+// what one layer draws over the whole capture
+function drawLayer(type) {
+    layers.loadStack([{ type, enabled: true, params: {} }]);
+    canvasCount = 0;
+    let renderer = canvas.createRenderer(createFakeCanvas(), replay.analyser, { channelAnalysers: replay.channelAnalysers });
+    takeLog();
+
+    for (let i = 0; i < replay.frameCount; i++) {
+        replay.setFrame(i);
+        renderer.draw(replay.getClock(i));
+    }
+
+    let calls = takeLog();
+    return { calls: calls.length, hash: createHash("sha1").update(calls.join("\n")).digest("hex") };
+}
+
+for (let layer of layers.getLayerTypes()) {
+    test(`${layer.type} draws what it drew before`, () => {
+        let snapshot = drawLayer(layer.type);
+        if (process.env.UPDATE_SNAPSHOTS) snapshots[layer.type] = snapshot;
+        assert.deepEqual(snapshot, snapshots[layer.type]);
+    });
+}
+
+test("writes the snapshots", { skip: !process.env.UPDATE_SNAPSHOTS }, () => {
+    writeFileSync(SNAPSHOTS, JSON.stringify(snapshots, null, 4) + "\n");
+});
+
+// a second at 30 frames a second: a 55 Hz kick every half second under 440 Hz on the left and
+// 660 Hz on the right
+function recordFixture() {
+    let sampleRate = 48000;
+    let left = new Float32Array(sampleRate);
+    let right = new Float32Array(sampleRate);
+    for (let i = 0; i < sampleRate; i++) {
+        let t = i / sampleRate;
+        let kick = Math.exp(-(t % .5) * 20) * Math.sin(2 * Math.PI * 55 * t);
+        left[i] = .6 * kick + .2 * Math.sin(2 * Math.PI * 440 * t);
+        right[i] = .6 * kick + .2 * Math.sin(2 * Math.PI * 660 * t);
+    }
+    let mix = left.map((value, i) => (value + right[i]) / 2);
+
+    let analyser = fft.createOfflineAnalyser([mix], sampleRate, { fftSize: 256 });
+    let channelAnalysers = [left, right].map(channel => fft.createOfflineAnalyser([channel], sampleRate, { fftSize: 512 }));
+    let startDate = new Date(Date.UTC(2024, 0, 1, 20, 30));
+    let recording = capture.createCapture(analyser, channelAnalysers, { startDate, track: { title: "Test Tone", artist: "Nobody" } });
+
+    for (let i = 0; i < 30; i++) {
+        let time = i / 30;
+        analyser.setTime(time);
+        channelAnalysers.forEach(channelAnalyser => channelAnalyser.setTime(time));
+        recording.addFrame({ time, currentTime: time, duration: 1, now: new Date(startDate.getTime() + time * 1000) });
+    }
+    return recording.finish()
+        .then(blob => blob.arrayBuffer())
+        .then(buffer => new Uint8Array(buffer));
+}
@@ -0,0 +1,160 @@
+/*
+    liveInput.test.js checks the live input switch in audio.js against a stand-in Web Audio graph:
+    while a microphone (or line-in) is plugged in, nothing it hears may reach the speakers -
+    that would be feedback - and going back to files has to put the speakers back.
+
+    Run the tests with: node --test test/
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// every node remembers what it is connected to, so we can follow the sound through the graph
+let nodes = [];
+
+function createParam() {
+    return {
+        value: 0,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {},
+        setTargetAtTime() {},
+        cancelScheduledValues() {}
+    };
+}
+
+function createNode(kind, extra = {}) {
+    let node = Object.assign({ kind, outputs: new Set() }, extra);
+    node.connect = target => {
+        node.outputs.add(target);
+        return target;
+    };
+    node.disconnect = target => {
+        if (target) node.outputs.delete(target);
+        else node.outputs.clear();
+    };
+    nodes.push(node);
+
+    // any AudioParam the code asks for (gain, frequency, threshold ...) is made on the spot
+    return new Proxy(node, {
+        get(target, name) {
+            if (!(name in target) && typeof name == "string" && name != "then") target[name] = createParam();
+            return target[name];
+        }
+    });
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.sampleRate = 48000;
+        this.currentTime = 0;
+        this.destination = createNode("destination");
+    }
+    createGain() { return createNode("gain"); }
+    createAnalyser() { return createNode("analyser", { fftSize: 2048, frequencyBinCount: 1024 }); }
+    createBiquadFilter() { return createNode("biquad"); }
+    createChannelSplitter() { return createNode("splitter"); }
+    createConvolver() { return createNode("convolver"); }
+    createDelay() { return createNode("delay"); }
+    createDynamicsCompressor() { return createNode("compressor"); }
+    createMediaElementSource(element) { return createNode("elementSource", { element }); }
+    createMediaStreamSource(stream) { return createNode("streamSource", { stream }); }
+    createMediaStreamDestination() { return createNode("streamDestination", { stream: createFakeStream() }); }
+    createBuffer(channels, length, sampleRate) {
+        return { numberOfChannels: channels, length, sampleRate, getChannelData: () => new Float32Array(length) };
+    }
+}
+
+class FakeAudio {
+    constructor() {
+        this.src = "";
+        this.paused = true;
+        this.currentTime = 0;
+        this.duration = NaN;
+    }
+    addEventListener() {}
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+    pause() {
+        this.paused = true;
+    }
+}
+
+// a MediaStream stand-in - all the audio graph wants is its tracks, to stop them
+function createFakeStream() {
+    let tracks = [{ stopped: false, stop() { this.stopped = true; } }];
+    return { getTracks: () => tracks };
+}
+
+globalThis.window = globalThis;
+globalThis.AudioContext = FakeAudioContext;
+globalThis.Audio = FakeAudio;
+globalThis.document = { baseURI: "http://localhost/" };
+
+const audio = await import('../src/audio.js');
+audio.setupWebaudio("media/New Adventure Theme.mp3");
+
+const destination = audio.audioCtx.destination;
+const compressor = nodes.find(node => node.kind == "compressor");
+const fileSources = nodes.filter(node => node.kind == "elementSource");
+
+// can sound get from one node to the other?
+function reaches(from, to, seen = new Set()) {
+    if (from == to) return true;
+    if (seen.has(from)) return false;
+    seen.add(from);
+    return [...(from.outputs || [])].some(next => reaches(next, to, seen));
+}
+
+const liveSource = () => nodes.filter(node => node.kind == "streamSource").pop();
+
+test("files play through the speakers and the analyser", () => {
+    assert.equal(audio.getSourceMode(), audio.SOURCE_MODES.file);
+    assert.ok(compressor.outputs.has(destination));
+    for (let source of fileSources) {
+        assert.ok(reaches(source, destination));
+        assert.ok(reaches(source, audio.analyserNode));
+    }
+});
+
+test("live input reaches the analyser but never the speakers", async () => {
+    let stream = createFakeStream();
+    await audio.startLiveInput(stream);
+
+    assert.equal(audio.getSourceMode(), audio.SOURCE_MODES.live);
+    assert.equal(liveSource().stream, stream);
+    assert.ok(reaches(liveSource(), audio.analyserNode));
+    assert.ok(!compressor.outputs.has(destination), "compressor -> destination should be cut");
+    assert.ok(!reaches(liveSource(), destination), "the live input must not reach the speakers");
+    for (let source of fileSources) assert.ok(!reaches(source, audio.analyserNode));
+    assert.equal(audio.hasDuration(), false);
+});
+
+test("switching to another input stops the old one and stays off the speakers", async () => {
+    let oldSource = liveSource();
+    let oldStream = oldSource.stream;
+    await audio.startLiveInput(createFakeStream());
+
+    assert.ok(oldStream.getTracks().every(track => track.stopped));
+    assert.equal(oldSource.outputs.size, 0);
+    assert.notEqual(liveSource(), oldSource);
+    assert.ok(!compressor.outputs.has(destination));
+    assert.ok(!reaches(liveSource(), destination));
+});
+
+test("going back to files puts the speakers back", () => {
+    let source = liveSource();
+    audio.stopLiveInput();
+
+    assert.equal(audio.getSourceMode(), audio.SOURCE_MODES.file);
+    assert.ok(source.stream.getTracks().every(track => track.stopped));
+    assert.equal(source.outputs.size, 0);
+    assert.ok(compressor.outputs.has(destination), "compressor -> destination should be back");
+    for (let source of fileSources) assert.ok(reaches(source, destination));
+
+    // a second stop does nothing - it mustn't connect anything twice
+    audio.stopLiveInput();
+    assert.equal(audio.getSourceMode(), audio.SOURCE_MODES.file);
+});